@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Regenerates src/js/modules/publicSuffixList.js from the Public Suffix List
+ *
+ * Usage: node scripts/update-public-suffix-list.mjs [source] [--version <label>]
+ *   source     URL or path of a public_suffix_list.dat file
+ *              (default: https://publicsuffix.org/list/public_suffix_list.dat)
+ *   --version  Version to record when the source has no "// VERSION:" line
+ *
+ * Both the ICANN and the private sections are kept, so hosting domains such as
+ * github.io or *.compute.amazonaws.com count as suffixes too. Internationalized
+ * rules are converted to punycode, the form URL hostnames use.
+ */
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { domainToASCII, fileURLToPath } from 'node:url';
+
+const DEFAULT_SOURCE = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUTPUT_PATH = fileURLToPath(new URL('../src/js/modules/publicSuffixList.js', import.meta.url));
+
+/**
+ * Read the list from a URL or a local file
+ * @param {string} source - URL or file path
+ * @returns {Promise<string>} - Contents of the .dat file
+ */
+async function readSource(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Could not download ${source}: HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+  return readFile(source, 'utf8');
+}
+
+/**
+ * Convert a rule to the ASCII form hostnames are compared in
+ * @param {string} rule - Rule as written in the list, e.g. "*.ck", "!www.ck" or "公司.cn"
+ * @returns {string} - Rule in punycode
+ */
+function toAsciiRule(rule) {
+  const prefix = rule.match(/^(\*\.|!)?/)[0];
+  const ascii = domainToASCII(rule.slice(prefix.length));
+  if (!ascii) {
+    throw new Error(`Invalid rule in the list: ${rule}`);
+  }
+  return `${prefix}${ascii}`;
+}
+
+/**
+ * Parse the rules out of a .dat file
+ * Each rule is the first whitespace-separated word of a non-comment line
+ * @param {string} text - Contents of the .dat file
+ * @returns {Array<string>} - Rules in list order, without duplicates
+ */
+function parseRules(text) {
+  const rules = text.split('\n')
+    .map(line => line.trim().split(/\s/)[0])
+    .filter(rule => rule && !rule.startsWith('//'))
+    .map(toAsciiRule);
+  return [...new Set(rules)];
+}
+
+/**
+ * Read a "// NAME: value" header line from the .dat file
+ * @param {string} text - Contents of the .dat file
+ * @param {string} name - Header name, e.g. VERSION or COMMIT
+ * @returns {string|null}
+ */
+function readHeader(text, name) {
+  const match = text.match(new RegExp(`^//\\s*${name}:\\s*(.+)$`, 'm'));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Generate the module from the list
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const versionIndex = args.indexOf('--version');
+  const versionOverride = versionIndex === -1 ? null : args.splice(versionIndex, 2)[1];
+  const source = args[0] || DEFAULT_SOURCE;
+
+  const text = await readSource(source);
+  const rules = parseRules(text);
+  if (rules.length < 1000) {
+    throw new Error(`Only ${rules.length} rules found in ${source}; is it a public_suffix_list.dat file?`);
+  }
+
+  const version = readHeader(text, 'VERSION') || versionOverride || 'unknown';
+  const commit = readHeader(text, 'COMMIT');
+  const sha256 = createHash('sha256').update(text).digest('hex');
+  const sourceName = /^https?:\/\//.test(source) ? source : basename(source);
+
+  const output = `/**
+ * Public Suffix List for Tab Genius extension
+ * GENERATED by scripts/update-public-suffix-list.mjs; do not edit by hand.
+ *
+ * Source: ${sourceName}
+ * Version: ${version}${commit ? `\n * Commit: ${commit}` : ''}
+ * SHA-256 of the source: ${sha256}
+ *
+ * The Public Suffix List (https://publicsuffix.org/) is subject to the terms of
+ * the Mozilla Public License, v. 2.0 (https://mozilla.org/MPL/2.0/).
+ *
+ * Rules use the list's own syntax: "*.ck" makes every label under ck a suffix
+ * and "!www.ck" is an exception. Internationalized rules are in punycode.
+ * Every single-label TLD is a suffix even when it is not listed here.
+ */
+export const PUBLIC_SUFFIX_RULES = [
+${rules.map(rule => `  '${rule}'`).join(',\n')}
+];
+`;
+
+  await writeFile(OUTPUT_PATH, output);
+  console.log(`Wrote ${rules.length} rules to ${OUTPUT_PATH}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
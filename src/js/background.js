@@ -1,19 +1,26 @@
 /**
  * Background script for Tab Sorter extension
- * Handles API calls and tab content extraction
+ * Handles API calls, tab content extraction and running sort/organize jobs
  */
 import debugLogger from './modules/debugLogger.js';
 import analytics from './modules/analytics.js';
+import { JobManager } from './modules/jobManager.js';
+import { LocalClassifier } from './modules/localClassifier.js';
+import { AutoOrganizer } from './modules/autoOrganizer.js';
+import { TabCreationTracker } from './modules/tabCreationTracker.js';
+import { DEFAULT_CATEGORIES } from './modules/defaultCategories.js';
 
 // Predefined categories for consistent grouping
-let PREDEFINED_CATEGORIES = [
-  'News', 'Shopping', 'Media', 'Education', 'Social', 
-  'Tech', 'Games', 'Finance', 'Travel', 'Food',
-  'Health', 'Sports', 'Entertainment', 'Business', 'Reference',
-  'Productivity', 'Development', 'Science', 'Arts', 'Learning',
-  'Leadership', 'Research', 'Career', 'Networking', 'Analytics',
-  'Marketing', 'Design', 'Documentation', 'Communication', 'Misc'
-];
+let PREDEFINED_CATEGORIES = [...DEFAULT_CATEGORIES];
+
+// Group name used for tabs the model is not confident about
+const UNSORTED_CATEGORY = 'Unsorted';
+
+// Tabs grouped this soon after opening were put there by Chrome, not moved by the user
+const NEW_TAB_GROUPING_GRACE_MS = 5000;
+
+// System prompt shared by all structured categorization requests
+const CATEGORIZATION_SYSTEM_PROMPT = 'You are a helpful assistant that categorizes web pages. Always respond in English with valid JSON only.';
 
 // Log startup information
 debugLogger.log('Background script initialized', {
@@ -28,6 +35,11 @@ chrome.storage.sync.get(null, (allSettings) => {
     return;
   }
   
+  // The worker can restart long after install, so the categories are loaded here too
+  if (Array.isArray(allSettings.tabSorterCategories) && allSettings.tabSorterCategories.length > 0) {
+    PREDEFINED_CATEGORIES = allSettings.tabSorterCategories;
+  }
+  
   debugLogger.log('All extension settings:', {
     debugMode: allSettings.tabGeniusDebugMode === true,
     notificationsEnabled: allSettings.notificationsEnabled !== false,
@@ -101,44 +113,17 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 });
 
-// Function to simulate AI categorization when real AI is not available
-function simulateAICategory(content) {
-  // Simple keyword-based categorization
-  const contentLower = content.toLowerCase();
-  
-  const categories = [
-    { keywords: ['news', 'article', 'politics', 'world'], category: 'News' },
-    { keywords: ['shop', 'price', 'buy', 'cart', 'product'], category: 'Shopping' },
-    { keywords: ['video', 'watch', 'stream', 'movie', 'episode'], category: 'Media' },
-    { keywords: ['learn', 'course', 'education', 'tutorial'], category: 'Education' },
-    { keywords: ['social', 'profile', 'friend', 'network'], category: 'Social' },
-    { keywords: ['tech', 'software', 'programming', 'code', 'developer'], category: 'Tech' },
-    { keywords: ['game', 'play', 'gaming'], category: 'Games' },
-    { keywords: ['finance', 'money', 'bank', 'invest'], category: 'Finance' },
-    { keywords: ['travel', 'hotel', 'flight', 'vacation'], category: 'Travel' },
-    { keywords: ['food', 'recipe', 'restaurant', 'cook'], category: 'Food' },
-    { keywords: ['health', 'medical', 'fitness', 'doctor'], category: 'Health' },
-    { keywords: ['sports', 'team', 'player', 'match', 'league'], category: 'Sports' },
-    { keywords: ['leadership', 'management', 'leader', 'team lead'], category: 'Leadership' },
-    { keywords: ['learning', 'study', 'training', 'skill'], category: 'Learning' },
-    { keywords: ['research', 'study', 'paper', 'journal', 'analysis'], category: 'Research' },
-    { keywords: ['career', 'job', 'resume', 'interview', 'employment'], category: 'Career' },
-    { keywords: ['network', 'connect', 'professional', 'linkedin'], category: 'Networking' },
-    { keywords: ['analytics', 'data', 'metrics', 'dashboard', 'report'], category: 'Analytics' },
-    { keywords: ['marketing', 'campaign', 'promotion', 'advertise'], category: 'Marketing' },
-    { keywords: ['design', 'ui', 'ux', 'graphic', 'creative'], category: 'Design' },
-    { keywords: ['document', 'manual', 'guide', 'instruction'], category: 'Documentation' },
-    { keywords: ['communication', 'chat', 'message', 'email'], category: 'Communication' }
-  ];
-  
-  for (const item of categories) {
-    if (item.keywords.some(keyword => contentLower.includes(keyword))) {
-      return item.category;
-    }
-  }
-  
-  // Default category if no keywords match
-  return 'Misc';
+// On-device classifier used when the AI is unavailable or not confident
+const localClassifier = new LocalClassifier();
+localClassifier.init();
+
+/**
+ * Categorize a tab with the on-device classifier
+ * @param {string} content - Tab content (title, URL and page text)
+ * @returns {string} - One of the current categories, or 'Misc' if nothing is recognized
+ */
+function classifyLocally(content) {
+  return localClassifier.classify(content, PREDEFINED_CATEGORIES);
 }
 
 // Add this function to the background.js file
@@ -163,56 +148,241 @@ function showNotification(title, message) {
   });
 }
 
-// Listen for messages from popup or content scripts
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+// Sort and organize jobs run here so they outlive the popup. Messages the
+// organizer sends go straight to handleMessage, since the worker cannot message itself.
+const dispatchMessage = request => new Promise(resolve => handleMessage(request, {}, resolve));
+const jobManager = new JobManager(dispatchMessage);
+jobManager.init();
+
+// Opt-in: tabs that finish loading are moved into their category group
+const autoOrganizer = new AutoOrganizer(jobManager, dispatchMessage);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  autoOrganizer.handleTabUpdated(tabId, changeInfo, tab);
+});
+chrome.tabs.onMoved.addListener((tabId, moveInfo) => {
+  autoOrganizer.handleTabMoved(tabId, moveInfo.windowId);
+});
+chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
+  autoOrganizer.handleTabMoved(tabId, attachInfo.newWindowId);
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+  autoOrganizer.handleTabRemoved(tabId);
+});
+
+// Chrome does not expose when a tab was opened, so it is recorded for sorting by opening order
+const tabCreationTracker = new TabCreationTracker();
+chrome.tabs.onCreated.addListener((tab) => {
+  tabCreationTracker.record(tab.id);
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabCreationTracker.forget(tabId);
+});
+
+// Keyboard shortcuts run a sort on the tabs of the focused window
+const COMMAND_JOB_TYPES = {
+  'sort-by-last-accessed': 'sortByLastAccessed',
+  'sort-by-creation': 'sortByCreation',
+  'sort-by-audible': 'sortByAudible'
+};
+chrome.commands.onCommand.addListener(async (command) => {
+  const jobType = COMMAND_JOB_TYPES[command];
+  if (!jobType) return;
+  
+  try {
+    const focusedWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    await jobManager.submit(focusedWindow.id, jobType, { scope: 'currentWindow' });
+    analytics.trackEvent('keyboard_command', { command });
+  } catch (error) {
+    debugLogger.error(`Error running command ${command}:`, error);
+    showNotification('Tab Genius', error.message);
+  }
+});
+
+// The popup opens a port named "jobs:<windowId>" to watch that window's jobs
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name.startsWith('jobs:')) {
+    jobManager.connect(port);
+  }
+});
+
+// A tab the user drags into a category's group is a correction the local classifier
+// learns from. Moves made by the extension's own jobs and auto mode are ignored.
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.groupId === undefined || changeInfo.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return;
+  if (jobManager.isBusy(tab.windowId) || autoOrganizer.isMoving(tabId)) return;
+  
+  learnFromGroupedTab(tabId, changeInfo.groupId).catch(error => {
+    debugLogger.warn('Could not learn from grouped tab:', error);
+  });
+});
+
+/**
+ * Train the local classifier with a tab the user put into a group
+ * Only groups named after an active category count. Groups such as "Stale" or the
+ * Other bucket are not categories, and tabs Chrome groups by itself (new tabs, links
+ * opened from a tab in the same group) are not corrections.
+ * @param {number} tabId - Tab ID
+ * @param {number} groupId - Group the tab was moved into
+ * @returns {Promise<void>}
+ */
+async function learnFromGroupedTab(tabId, groupId) {
+  const group = await chrome.tabGroups.get(groupId);
+  const title = (group.title || '').trim().toLowerCase();
+  
+  const { tabSorterCategories } = await chrome.storage.sync.get('tabSorterCategories');
+  const categories = Array.isArray(tabSorterCategories) && tabSorterCategories.length > 0
+    ? tabSorterCategories
+    : PREDEFINED_CATEGORIES;
+  const category = categories.find(candidate => candidate.toLowerCase() === title);
+  if (!category) return;
+  
+  const createdAt = await tabCreationTracker.get(tabId);
+  if (createdAt !== null && Date.now() - createdAt < NEW_TAB_GROUPING_GRACE_MS) return;
+  
+  const tab = await chrome.tabs.get(tabId);
+  if (tab.openerTabId !== undefined) {
+    const opener = await chrome.tabs.get(tab.openerTabId).catch(() => null);
+    if (opener && opener.groupId === groupId) return;
+  }
+  
+  const content = await getTabContent(tabId);
+  // User corrections count more than AI results
+  await localClassifier.learn(content.substring(0, 750), category, 3);
+  
+  debugLogger.log('Local classifier learned from user grouping', { tabId, category });
+}
+
+/**
+ * Handle a message from the popup, a content script or a running job
+ * @param {Object} request - Message with an action field
+ * @param {Object} sender - Message sender
+ * @param {Function} sendResponse - Callback for the response
+ * @returns {boolean} - True if the response is sent asynchronously
+ */
+function handleMessage(request, sender, sendResponse) {
   // Handle different message actions
   switch (request.action) {
     case 'analyzeWithGemini':
-      // First get the tab content
-      getTabContent(request.tabId).then(async (content) => {
+      // First get the tab content, unless the job already extracted it
+      getRequestedTabContent(request.tabId, request.content).then(async (content) => {
         try {
           const result = await analyzeWithGemini(
             content,
             request.categories,
-            request.prompt
+            request.prompt,
+            jobManager.getSignal(request.runId)
           );
-          sendResponse({ category: result });
+          sendResponse(result);
         } catch (error) {
           debugLogger.error('Gemini analysis error:', error);
           showNotification('Tab Analysis Error', error.message || 'Failed to analyze tab');
           // Use simulate fallback for any error
-          const fallbackCategory = simulateAICategory(content.substring(0, 750));
+          const fallbackCategory = classifyLocally(content.substring(0, 750));
           sendResponse({ error: error.message, category: fallbackCategory });
         }
       }).catch(error => {
         debugLogger.error('Error getting tab content:', error);
         // Use simulate fallback for any error
-        const fallbackCategory = simulateAICategory(`Title: ${request.tabId}`);
+        const fallbackCategory = classifyLocally(`Title: ${request.tabId}`);
         sendResponse({ error: 'Failed to get tab content', category: fallbackCategory });
       });
       return true; // Indicates async response
 
     case 'analyzeWithOllama':
-      analyzeWithOllama(request.url, request.model, request.prompt, request.tabId)
+      analyzeWithOllama(request.url, request.model, request.prompt, request.tabId, jobManager.getSignal(request.runId), request.content)
+        .then(sendResponse)
+        .catch(error => {
+          showNotification('Tab Analysis Error', error.message || 'Failed to analyze tab');
+          // Use simulate fallback for any error
+          getRequestedTabContent(request.tabId, request.content).then(content => {
+            const fallbackCategory = classifyLocally(content.substring(0, 750));
+            sendResponse({ error: error.message, category: fallbackCategory });
+          }).catch(contentError => {
+            const fallbackCategory = classifyLocally(`Title: ${request.tabId}`);
+            sendResponse({ error: error.message, category: fallbackCategory });
+          });
+        });
+      return true; // Indicates async response
+
+    case 'analyzeWithOpenAI':
+      analyzeWithOpenAI(request.url, request.model, request.apiKey, request.prompt, request.tabId, jobManager.getSignal(request.runId), request.content)
         .then(sendResponse)
         .catch(error => {
           showNotification('Tab Analysis Error', error.message || 'Failed to analyze tab');
           // Use simulate fallback for any error
-          getTabContent(request.tabId).then(content => {
-            const fallbackCategory = simulateAICategory(content.substring(0, 750));
+          getRequestedTabContent(request.tabId, request.content).then(content => {
+            const fallbackCategory = classifyLocally(content.substring(0, 750));
             sendResponse({ error: error.message, category: fallbackCategory });
           }).catch(contentError => {
-            const fallbackCategory = simulateAICategory(`Title: ${request.tabId}`);
+            const fallbackCategory = classifyLocally(`Title: ${request.tabId}`);
             sendResponse({ error: error.message, category: fallbackCategory });
           });
         });
       return true; // Indicates async response
       
+    case 'analyzeBatch':
+      analyzeBatch(request.modelConfig, request.prompt, request.tabIds, request.categories, jobManager.getSignal(request.runId), request.contents)
+        .then(sendResponse)
+        .catch(error => {
+          debugLogger.error('Batch analysis error:', error);
+          sendResponse({ error: error.message, categories: {}, fallbackTabIds: request.tabIds });
+        });
+      return true; // Indicates async response
+      
+    case 'getTabContents':
+      Promise.all((request.tabIds || []).map(async (tabId) => [tabId, await getTabContent(tabId)]))
+        .then(entries => sendResponse({ contents: Object.fromEntries(entries) }))
+        .catch(error => {
+          debugLogger.error('Error getting tab contents:', error);
+          sendResponse({ error: error.message, contents: {} });
+        });
+      return true; // Indicates async response
+      
+    case 'checkOllamaServer':
+      checkOllamaServer(request.url)
+        .then(sendResponse);
+      return true; // Indicates async response
+      
+    case 'getEmbeddings':
+      getEmbeddings(request.url, request.model, request.tabIds || [], jobManager.getSignal(request.runId))
+        .then(embeddings => sendResponse({ embeddings }))
+        .catch(error => {
+          debugLogger.error('Embedding error:', error);
+          sendResponse({ error: error.message, embeddings: {} });
+        });
+      return true; // Indicates async response
+      
+    case 'nameCluster':
+      nameCluster(request.url, request.model, request.titles || [], jobManager.getSignal(request.runId))
+        .then(title => sendResponse({ title }))
+        .catch(error => {
+          debugLogger.error('Cluster naming error:', error);
+          sendResponse({ error: error.message, title: null });
+        });
+      return true; // Indicates async response
+      
+    case 'submitJob':
+      jobManager.submit(request.windowId, request.jobType, request.options)
+        .then(jobId => sendResponse({ jobId }))
+        .catch(error => {
+          debugLogger.error('Could not start job:', error);
+          sendResponse({ error: error.message });
+        });
+      return true; // Indicates async response
+      
+    case 'reportProgress':
+      // Record organizer progress and pass it on to the popup; the answer waits
+      // for the checkpoint, so the organizer knows the phase is saved
+      jobManager.handleProgress(request.runId, request.event)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ error: error.message }));
+      return true; // Indicates async response
+      
     case 'simulateFallback':
       // Direct request to use the simulate fallback
       try {
         const content = `Title: ${request.title || ''}\nURL: ${request.url || ''}`;
-        const category = simulateAICategory(content);
+        const category = classifyLocally(content);
         sendResponse({ category: category });
       } catch (error) {
         debugLogger.error('Error in simulate fallback:', error);
@@ -262,21 +432,28 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ error: 'Unknown action' });
       return false;
   }
-});
+}
+
+// Listen for messages from popup or content scripts
+chrome.runtime.onMessage.addListener(handleMessage);
 
 /**
  * Analyze tab content with Google's Gemini API
  * @param {string} content - Tab content to analyze
  * @param {Array<string>} availableCategories - Available categories to choose from
  * @param {string} customPrompt - Custom prompt for the AI model
- * @returns {Promise<string>} - Category name
+ * @param {AbortSignal} [signal] - Aborts the model request when the run is cancelled
+ * @returns {Promise<Object>} - Analysis result ({category, confidence, reason, fallback})
  */
-async function analyzeWithGemini(content, availableCategories, customPrompt) {
-  let session = null;
+async function analyzeWithGemini(content, availableCategories, customPrompt, signal) {
+  const categories = Array.isArray(availableCategories) && availableCategories.length > 0
+    ? availableCategories
+    : PREDEFINED_CATEGORIES;
+  
   try {
     debugLogger.log('Analyzing content with Gemini', {
       contentLength: content.length,
-      categoriesAvailable: availableCategories ? availableCategories.length : 0,
+      categoriesAvailable: categories.length,
       customPrompt: customPrompt
     });
     
@@ -286,74 +463,188 @@ async function analyzeWithGemini(content, availableCategories, customPrompt) {
     // Check if content is too short or indicates an error
     if (trimmedContent.length < 10 || trimmedContent.includes('Unable to access tab content')) {
       debugLogger.warn("Insufficient content for analysis, using tab title");
-      return simulateAICategory(trimmedContent);
+      return { category: classifyLocally(trimmedContent), fallback: true };
     }
     
-    // Check if Chrome AI API is available
-    if (typeof ai === 'undefined' || !ai.languageModel) {
-      debugLogger.error('Chrome AI API not available');
-      return simulateAICategory(trimmedContent);
-    }
-    
-    // Prepare prompt with content and predefined categories
-    let categoriesText = "various categories";
-    if (Array.isArray(availableCategories) && availableCategories.length > 0) {
-      categoriesText = availableCategories.join(', ');
-    }
-    
-    const fullPrompt = `${customPrompt}\n\nContent: ${trimmedContent}\n\nChoose from these categories if possible: ${categoriesText}. Respond with only 1-2 words in English.`;
+    const fullPrompt = buildCategoryPrompt(customPrompt, trimmedContent, categories);
     
     debugLogger.log('Gemini prompt prepared', {
       promptLength: fullPrompt.length,
-      availableCategories: availableCategories,
+      availableCategories: categories,
     });
     
     try {
-      // Check capabilities
-      const capabilities = await ai.languageModel.capabilities();
-      debugLogger.log("Gemini capabilities:", capabilities);
-      
-      if (capabilities.available === 'no') {
-        debugLogger.warn("Gemini model not available, falling back to simulation");
-        return simulateAICategory(trimmedContent);
-      }
-      
-      // Create a session with a timeout
-      const sessionPromise = ai.languageModel.create({
-        systemPrompt: 'You are a helpful assistant that categorizes web pages. Respond with a single category name (1-2 words maximum) that best describes the content. Capitalize the first letter of each word in the category. Always respond in English only.'
+      const response = await promptModel({ type: 'gemini' }, fullPrompt, {
+        schema: buildCategorySchema(categories),
+        signal
       });
       
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Session creation timeout')), 3000);
-      });
-      
-      session = await Promise.race([sessionPromise, timeoutPromise]);
-      
-      debugLogger.log("Gemini session created successfully");
-      
-      // Get response from Gemini with timeout
-      const promptPromise = session.prompt(fullPrompt);
-      const promptTimeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Prompt response timeout')), 5000);
+      return await resolveCategoryResponse(response, trimmedContent, categories);
+    } catch (error) {
+      debugLogger.error("Error using Gemini API:", error);
+      return { category: classifyLocally(trimmedContent), fallback: true };
+    }
+  } catch (error) {
+    debugLogger.error('Error analyzing with Gemini:', error);
+    // Use simulate fallback for any error
+    return { category: classifyLocally(content.substring(0, 750)), fallback: true };
+  }
+}
+
+/**
+ * Analyze tab content with Ollama API
+ * @param {string} url - URL for Ollama API
+ * @param {string} model - Model name for Ollama
+ * @param {string} prompt - Prompt for the AI model
+ * @param {number} tabId - ID of the tab to analyze
+ * @param {AbortSignal} [signal] - Aborts the model request when the run is cancelled
+ * @param {string} [extractedContent] - Content the job already extracted from the tab
+ * @returns {Promise<Object>} - Analysis result
+ */
+async function analyzeWithOllama(url, model, prompt, tabId, signal, extractedContent) {
+  try {
+    // Get tab content
+    const content = await getRequestedTabContent(tabId, extractedContent);
+    
+    // Trim content to 750 characters for efficiency
+    const trimmedContent = content.substring(0, 750);
+    
+    // Prepare prompt with content and predefined categories
+    const fullPrompt = buildCategoryPrompt(prompt, trimmedContent, PREDEFINED_CATEGORIES);
+    
+    console.log("Ollama prompt:", fullPrompt);
+    
+    try {
+      const response = await promptModel({ type: 'ollama', url, model }, fullPrompt, {
+        schema: buildCategorySchema(PREDEFINED_CATEGORIES),
+        signal
       });
       
-      const response = await Promise.race([promptPromise, promptTimeoutPromise]);
-      
-      debugLogger.log("Gemini response received:", {
-        rawResponse: response
+      return await resolveCategoryResponse(response, trimmedContent, PREDEFINED_CATEGORIES);
+    } catch (error) {
+      console.error('Error calling Ollama API:', error);
+      // Fall back to simulated response if Ollama is not available
+      return { category: classifyLocally(trimmedContent), fallback: true };
+    }
+  } catch (error) {
+    console.error('Error analyzing with Ollama:', error);
+    throw new Error('Failed to analyze with Ollama');
+  }
+}
+
+/**
+ * Build the chat completions endpoint from a base URL
+ * Accepts both "http://host:port" and "http://host:port/v1"
+ * @param {string} baseUrl - Base URL of the OpenAI-compatible server
+ * @returns {string} - Chat completions endpoint
+ */
+function getChatCompletionsUrl(baseUrl) {
+  const trimmedUrl = baseUrl.trim().replace(/\/+$/, '');
+  return trimmedUrl.endsWith('/v1')
+    ? `${trimmedUrl}/chat/completions`
+    : `${trimmedUrl}/v1/chat/completions`;
+}
+
+/**
+ * Analyze tab content with an OpenAI-compatible chat completions API
+ * (llama.cpp server, LM Studio, vLLM, ...)
+ * @param {string} url - Base URL of the OpenAI-compatible server
+ * @param {string} model - Model name
+ * @param {string} apiKey - Optional bearer token
+ * @param {string} prompt - Prompt for the AI model
+ * @param {number} tabId - ID of the tab to analyze
+ * @param {AbortSignal} [signal] - Aborts the model request when the run is cancelled
+ * @param {string} [extractedContent] - Content the job already extracted from the tab
+ * @returns {Promise<Object>} - Analysis result
+ */
+async function analyzeWithOpenAI(url, model, apiKey, prompt, tabId, signal, extractedContent) {
+  try {
+    // Get tab content
+    const content = await getRequestedTabContent(tabId, extractedContent);
+    
+    // Trim content to 750 characters for efficiency
+    const trimmedContent = content.substring(0, 750);
+    
+    // Prepare prompt with content and predefined categories
+    const fullPrompt = buildCategoryPrompt(prompt, trimmedContent, PREDEFINED_CATEGORIES);
+    
+    debugLogger.log('OpenAI-compatible prompt:', fullPrompt);
+    
+    try {
+      const response = await promptModel({ type: 'openai', url, model, apiKey }, fullPrompt, {
+        schema: buildCategorySchema(PREDEFINED_CATEGORIES),
+        signal
       });
       
-      // Clean up and format the response
-      return formatCategory(response, availableCategories);
-      
+      return await resolveCategoryResponse(response, trimmedContent, PREDEFINED_CATEGORIES);
     } catch (error) {
-      debugLogger.error("Error using Gemini API:", error);
-      return simulateAICategory(trimmedContent);
+      console.error('Error calling OpenAI-compatible API:', error);
+      // Fall back to simulated response if the server is not available
+      return { category: classifyLocally(trimmedContent), fallback: true };
     }
   } catch (error) {
-    debugLogger.error('Error analyzing with Gemini:', error);
-    // Use simulate fallback for any error
-    return simulateAICategory(content.substring(0, 750));
+    console.error('Error analyzing with OpenAI-compatible API:', error);
+    throw new Error('Failed to analyze with OpenAI-compatible API');
+  }
+}
+
+/**
+ * Send a prompt to Chrome's built-in Gemini model
+ * @param {string} prompt - Full prompt text
+ * @param {string} systemPrompt - System prompt for the session
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.responseConstraint] - JSON schema the response must follow
+ * @param {number} [options.sessionTimeout] - Session creation timeout in milliseconds
+ * @param {number} [options.promptTimeout] - Prompt response timeout in milliseconds
+ * @param {AbortSignal} [options.signal] - Aborts session creation and the prompt
+ * @returns {Promise<string>} - Raw model response
+ */
+async function promptGemini(prompt, systemPrompt, { responseConstraint, sessionTimeout = 3000, promptTimeout = 5000, signal } = {}) {
+  if (signal && signal.aborted) {
+    throw new Error('Request cancelled');
+  }
+  
+  // Check if Chrome AI API is available
+  if (typeof ai === 'undefined' || !ai.languageModel) {
+    throw new Error('Chrome AI API not available');
+  }
+  
+  // Check capabilities
+  const capabilities = await ai.languageModel.capabilities();
+  debugLogger.log("Gemini capabilities:", capabilities);
+  
+  if (capabilities.available === 'no') {
+    throw new Error('Gemini model not available');
+  }
+  
+  let session = null;
+  try {
+    // Create a session with a timeout
+    const sessionPromise = ai.languageModel.create({ systemPrompt, signal });
+    
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Session creation timeout')), sessionTimeout);
+    });
+    
+    session = await Promise.race([sessionPromise, timeoutPromise]);
+    
+    debugLogger.log("Gemini session created successfully");
+    
+    // Get response from Gemini with timeout
+    const promptPromise = responseConstraint
+      ? session.prompt(prompt, { responseConstraint, signal })
+      : session.prompt(prompt, { signal });
+    const promptTimeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Prompt response timeout')), promptTimeout);
+    });
+    
+    const response = await Promise.race([promptPromise, promptTimeoutPromise]);
+    
+    debugLogger.log("Gemini response received:", {
+      rawResponse: response
+    });
+    
+    return response;
   } finally {
     // Ensure session cleanup
     if (session) {
@@ -367,60 +658,499 @@ async function analyzeWithGemini(content, availableCategories, customPrompt) {
 }
 
 /**
- * Analyze tab content with Ollama API
+ * Send a prompt to the Ollama generate API
  * @param {string} url - URL for Ollama API
  * @param {string} model - Model name for Ollama
+ * @param {string} prompt - Full prompt text
+ * @param {Object} [options] - Request options
+ * @param {Object|string} [options.format] - JSON schema (or 'json') to constrain the output to
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<string>} - Raw model response
+ */
+async function promptOllama(url, model, prompt, { format, signal } = {}) {
+  const body = {
+    model: model,
+    prompt: prompt,
+    stream: false
+  };
+  
+  if (format) {
+    body.format = format;
+  }
+  
+  const response = await fetch(`${url}/api/generate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal: signal
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Ollama API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  return data.response;
+}
+
+/**
+ * Send a prompt to an OpenAI-compatible chat completions API
+ * @param {string} url - Base URL of the OpenAI-compatible server
+ * @param {string} model - Model name
+ * @param {string} apiKey - Optional bearer token
+ * @param {string} prompt - Full prompt text
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.schema] - JSON schema to constrain the output to
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<string>} - Raw model response
+ */
+async function promptOpenAI(url, model, apiKey, prompt, { schema, signal } = {}) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  
+  const body = {
+    model: model,
+    messages: [
+      { role: 'user', content: prompt }
+    ],
+    stream: false
+  };
+  
+  if (schema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'tab_category', schema: schema }
+    };
+  }
+  
+  // Make request to the chat completions endpoint
+  const response = await fetch(getChatCompletionsUrl(url), {
+    method: 'POST',
+    headers: headers,
+    body: JSON.stringify(body),
+    signal: signal
+  });
+  
+  if (!response.ok) {
+    throw new Error(`OpenAI-compatible API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  const message = data.choices && data.choices[0] && data.choices[0].message;
+  
+  if (!message || typeof message.content !== 'string') {
+    throw new Error('OpenAI-compatible API returned no message content');
+  }
+  
+  return message.content;
+}
+
+/**
+ * Send a structured prompt to whichever backend the model config selects
+ * @param {Object} modelConfig - Configuration for the AI model
+ * @param {string} prompt - Full prompt text
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.schema] - JSON schema the response must follow
+ * @param {number} [options.promptTimeout] - Gemini prompt timeout in milliseconds
+ * @param {AbortSignal} [options.signal] - Aborts the request when the run is cancelled
+ * @returns {Promise<string>} - Raw model response
+ */
+async function promptModel(modelConfig, prompt, { schema, promptTimeout, signal } = {}) {
+  switch (modelConfig.type) {
+    case 'gemini':
+      return promptGemini(prompt, CATEGORIZATION_SYSTEM_PROMPT, { responseConstraint: schema, promptTimeout, signal });
+    case 'ollama':
+      return promptOllama(modelConfig.url, modelConfig.model, `${CATEGORIZATION_SYSTEM_PROMPT}\n\n${prompt}`, { format: schema, signal });
+    case 'openai':
+      return promptOpenAI(modelConfig.url, modelConfig.model, modelConfig.apiKey, `${CATEGORIZATION_SYSTEM_PROMPT}\n\n${prompt}`, { schema, signal });
+    default:
+      throw new Error(`Unknown model type: ${modelConfig.type}`);
+  }
+}
+
+/**
+ * Build the prompt for categorizing a single tab
+ * @param {string} prompt - User-configurable analysis prompt
+ * @param {string} content - Trimmed tab content
+ * @param {Array<string>} categories - Available categories
+ * @returns {string} - Full prompt text
+ */
+function buildCategoryPrompt(prompt, content, categories) {
+  const categoriesText = categories.length > 0
+    ? `Choose the category from this list: ${categories.join(', ')}.`
+    : 'Choose a concise 1-2 word category.';
+  
+  return `${prompt}\n\nContent: ${content}\n\n${categoriesText} Respond with a JSON object with the fields "category", "confidence" (a number from 0 to 1 describing how well the category fits) and "reason" (one short sentence).`;
+}
+
+/**
+ * Build the JSON schema for a single categorization response
+ * @param {Array<string>} categories - Available categories
+ * @returns {Object} - JSON schema
+ */
+function buildCategorySchema(categories) {
+  const categoryProperty = { type: 'string' };
+  if (categories.length > 0) {
+    categoryProperty.enum = categories;
+  }
+  
+  return {
+    type: 'object',
+    properties: {
+      category: categoryProperty,
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      reason: { type: 'string' }
+    },
+    required: ['category', 'confidence', 'reason']
+  };
+}
+
+/**
+ * Extract the first JSON object from a model response
+ * Tolerates surrounding prose or code fences around the JSON object
+ * @param {string} responseText - Raw model response
+ * @returns {Object|null} - Parsed object, or null if none could be parsed
+ */
+function parseJsonResponse(responseText) {
+  if (typeof responseText !== 'string') {
+    return null;
+  }
+  
+  const start = responseText.indexOf('{');
+  const end = responseText.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    debugLogger.warn('Response contained no JSON object', { responseText });
+    return null;
+  }
+  
+  try {
+    const parsed = JSON.parse(responseText.substring(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    debugLogger.warn('Could not parse response as JSON', { responseText });
+    return null;
+  }
+}
+
+/**
+ * Validate a structured categorization against the active category list
+ * @param {Object} result - Parsed {category, confidence, reason} object
+ * @param {Array<string>} categories - Available categories
+ * @returns {Object|null} - Normalized result, or null if it is invalid
+ */
+function validateCategoryResult(result, categories) {
+  if (!result || typeof result.category !== 'string' || !result.category.trim()) {
+    return null;
+  }
+  
+  let category;
+  if (categories.length > 0) {
+    category = categories.find(cat => cat.toLowerCase() === result.category.trim().toLowerCase());
+    if (!category) {
+      debugLogger.warn('Model returned a category outside the active list', { category: result.category });
+      return null;
+    }
+  } else {
+    category = formatCategory(result.category, categories);
+  }
+  
+  const confidence = Number(result.confidence);
+  
+  return {
+    category: category,
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+    reason: typeof result.reason === 'string' ? result.reason : ''
+  };
+}
+
+/**
+ * Get the confidence threshold and low-confidence routing from settings
+ * @returns {Promise<Object>} - { threshold: number (0-1), action: 'fallback'|'unsorted' }
+ */
+async function getConfidenceSettings() {
+  const settings = await chrome.storage.sync.get(['confidenceThreshold', 'lowConfidenceAction']);
+  const threshold = settings.confidenceThreshold === undefined ? 50 : settings.confidenceThreshold;
+  
+  return {
+    threshold: threshold / 100,
+    action: settings.lowConfidenceAction === 'unsorted' ? 'unsorted' : 'fallback'
+  };
+}
+
+/**
+ * Apply the confidence threshold to a validated result
+ * Invalid or low-confidence results go to the local classifier or the Unsorted group
+ * @param {Object|null} result - Validated result from validateCategoryResult
+ * @param {string} content - Tab content used for the local classifier
+ * @param {Object} confidenceSettings - Settings from getConfidenceSettings
+ * @returns {Object} - Final analysis result ({category, confidence, reason, fallback})
+ */
+function applyConfidenceThreshold(result, content, confidenceSettings) {
+  if (result && result.confidence >= confidenceSettings.threshold) {
+    // Confident answers teach the local classifier
+    localClassifier.learn(content, result.category);
+    return { ...result, fallback: false };
+  }
+  
+  debugLogger.log('Low confidence or invalid response, routing tab', {
+    result: result,
+    threshold: confidenceSettings.threshold,
+    action: confidenceSettings.action
+  });
+  
+  const category = confidenceSettings.action === 'unsorted'
+    ? UNSORTED_CATEGORY
+    : classifyLocally(content);
+  
+  return {
+    category: category,
+    confidence: result ? result.confidence : 0,
+    reason: result ? result.reason : 'Invalid model response',
+    fallback: true
+  };
+}
+
+/**
+ * Parse, validate and threshold a single categorization response
+ * @param {string} responseText - Raw model response
+ * @param {string} content - Tab content used for the local classifier
+ * @param {Array<string>} categories - Available categories
+ * @returns {Promise<Object>} - Final analysis result
+ */
+async function resolveCategoryResponse(responseText, content, categories) {
+  const result = validateCategoryResult(parseJsonResponse(responseText), categories);
+  return applyConfidenceThreshold(result, content, await getConfidenceSettings());
+}
+
+/**
+ * Analyze several tabs with a single prompt
+ * The model returns a structured result per tab ID; any tab that is missing from
+ * the response, has an invalid category or low confidence is routed individually
+ * @param {Object} modelConfig - Configuration for the AI model
  * @param {string} prompt - Prompt for the AI model
- * @param {number} tabId - ID of the tab to analyze
- * @returns {Promise<Object>} - Analysis result
+ * @param {Array<number>} tabIds - IDs of the tabs to analyze
+ * @param {Array<string>} availableCategories - Available categories to choose from
+ * @param {AbortSignal} [signal] - Aborts the model request when the run is cancelled
+ * @param {Object} [extractedContents] - Content the job already extracted, by tab ID
+ * @returns {Promise<Object>} - { categories: {tabId: category}, fallbackTabIds: number[] }
  */
-async function analyzeWithOllama(url, model, prompt, tabId) {
+async function analyzeBatch(modelConfig, prompt, tabIds, availableCategories, signal, extractedContents = {}) {
+  const categories = Array.isArray(availableCategories) && availableCategories.length > 0
+    ? availableCategories
+    : PREDEFINED_CATEGORIES;
+  
+  // Extract all tab contents up front, except those the job already extracted
+  const contents = {};
+  await Promise.all(tabIds.map(async (tabId) => {
+    contents[tabId] = await getRequestedTabContent(tabId, extractedContents[tabId]);
+  }));
+  
+  // Content is trimmed harder than in single-tab mode to keep the prompt small
+  const tabsText = tabIds.map(tabId => {
+    return `[${tabId}] ${contents[tabId].substring(0, 300).replace(/\s+/g, ' ')}`;
+  }).join('\n');
+  
+  const fullPrompt = `${prompt}\n\nCategorize each of the following tabs. Each line starts with the tab id in brackets, followed by the tab title, URL and content.\n\n${tabsText}\n\nChoose each category from this list: ${categories.join(', ')}. Respond with a JSON object whose "results" array contains one entry per tab with the fields "id", "category", "confidence" (a number from 0 to 1) and "reason" (one short sentence).`;
+  
+  debugLogger.log('Batch prompt prepared', {
+    modelType: modelConfig.type,
+    tabCount: tabIds.length,
+    promptLength: fullPrompt.length
+  });
+  
+  const resultsById = {};
   try {
-    // Get tab content
-    const content = await getTabContent(tabId);
+    const response = await promptModel(modelConfig, fullPrompt, {
+      schema: buildBatchSchema(categories),
+      promptTimeout: 5000 * tabIds.length,
+      signal
+    });
+    const parsed = parseJsonResponse(response);
     
-    // Trim content to 750 characters for efficiency
-    const trimmedContent = content.substring(0, 750);
+    if (parsed && Array.isArray(parsed.results)) {
+      for (const entry of parsed.results) {
+        if (entry && tabIds.includes(Number(entry.id))) {
+          resultsById[Number(entry.id)] = validateCategoryResult(entry, categories);
+        }
+      }
+    }
+  } catch (error) {
+    debugLogger.error('Error analyzing batch:', error);
+  }
+  
+  const confidenceSettings = await getConfidenceSettings();
+  const result = { categories: {}, fallbackTabIds: [] };
+  for (const tabId of tabIds) {
+    const resolved = applyConfidenceThreshold(
+      resultsById[tabId] || null,
+      contents[tabId].substring(0, 750),
+      confidenceSettings
+    );
+    result.categories[tabId] = resolved.category;
+    if (resolved.fallback) {
+      result.fallbackTabIds.push(tabId);
+    }
+  }
+  
+  debugLogger.log('Batch analysis complete', {
+    tabCount: tabIds.length,
+    fallbackCount: result.fallbackTabIds.length
+  });
+  
+  return result;
+}
+
+/**
+ * Build the JSON schema for a batch categorization response
+ * @param {Array<string>} categories - Available categories
+ * @returns {Object} - JSON schema
+ */
+function buildBatchSchema(categories) {
+  const itemSchema = buildCategorySchema(categories);
+  
+  return {
+    type: 'object',
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          ...itemSchema,
+          properties: { id: { type: 'integer' }, ...itemSchema.properties },
+          required: ['id', ...itemSchema.required]
+        }
+      }
+    },
+    required: ['results']
+  };
+}
+
+/**
+ * Check whether an Ollama server is reachable and list its installed models
+ * @param {string} url - URL for Ollama API
+ * @returns {Promise<Object>} - { reachable, version, models: string[], error }
+ */
+async function checkOllamaServer(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 3000);
+  
+  try {
+    const [versionResponse, tagsResponse] = await Promise.all([
+      fetch(`${url}/api/version`, { signal: controller.signal }),
+      fetch(`${url}/api/tags`, { signal: controller.signal })
+    ]);
     
-    // Prepare prompt with content and predefined categories
-    const fullPrompt = `${prompt}\n\nContent: ${trimmedContent}\n\nChoose from these categories if possible: ${PREDEFINED_CATEGORIES.join(', ')}. Respond with only 1-2 words.`;
+    if (!versionResponse.ok || !tagsResponse.ok) {
+      throw new Error(`Ollama API error: ${versionResponse.ok ? tagsResponse.status : versionResponse.status}`);
+    }
     
-    console.log("Ollama prompt:", fullPrompt);
+    const versionData = await versionResponse.json();
+    const tagsData = await tagsResponse.json();
+    
+    return {
+      reachable: true,
+      version: versionData.version || 'unknown',
+      models: (tagsData.models || []).map(model => model.name).sort()
+    };
+  } catch (error) {
+    debugLogger.warn(`Ollama server at ${url} is not reachable:`, error);
+    return {
+      reachable: false,
+      version: null,
+      models: [],
+      error: error.name === 'AbortError' ? 'Connection timed out' : error.message
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Get an embedding vector for each tab's extracted content from Ollama
+ * Tabs whose embedding request fails are left out of the result
+ * @param {string} url - URL for Ollama API
+ * @param {string} model - Embedding model name
+ * @param {Array<number>} tabIds - IDs of the tabs to embed
+ * @param {AbortSignal} [signal] - Stops embedding when the run is cancelled
+ * @returns {Promise<Object>} - Map of tab IDs to embedding vectors
+ */
+async function getEmbeddings(url, model, tabIds, signal) {
+  const embeddings = {};
+  
+  for (const tabId of tabIds) {
+    if (signal && signal.aborted) {
+      debugLogger.log('Embedding cancelled');
+      break;
+    }
     
     try {
-      // Make request to Ollama API
-      const response = await fetch(`${url}/api/generate`, {
+      const content = await getTabContent(tabId);
+      
+      const response = await fetch(`${url}/api/embeddings`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           model: model,
-          prompt: fullPrompt,
-          stream: false
-        })
+          prompt: content.substring(0, 1000)
+        }),
+        signal: signal
       });
       
       if (!response.ok) {
-        console.error(`Ollama API error: ${response.status}`);
-        // Fall back to simulated response if Ollama is not available
-        return { category: simulateAICategory(trimmedContent) };
+        throw new Error(`Ollama API error: ${response.status}`);
       }
       
       const data = await response.json();
-      // Clean up and format the response
-      const category = formatCategory(data.response, PREDEFINED_CATEGORIES);
-      
-      return { category };
+      if (Array.isArray(data.embedding) && data.embedding.length > 0) {
+        embeddings[tabId] = data.embedding;
+      }
     } catch (error) {
-      console.error('Error calling Ollama API:', error);
-      // Fall back to simulated response if Ollama is not available
-      return { category: simulateAICategory(trimmedContent) };
+      debugLogger.warn(`Could not get embedding for tab ${tabId}:`, error);
     }
-  } catch (error) {
-    console.error('Error analyzing with Ollama:', error);
-    throw new Error('Failed to analyze with Ollama');
   }
+  
+  debugLogger.log('Embeddings received', {
+    requested: tabIds.length,
+    received: Object.keys(embeddings).length
+  });
+  
+  return embeddings;
+}
+
+/**
+ * Ask Ollama for a short title describing a cluster of tabs
+ * @param {string} url - URL for Ollama API
+ * @param {string} model - Model name for Ollama
+ * @param {Array<string>} titles - Titles of the tabs in the cluster
+ * @param {AbortSignal} [signal] - Aborts the model request when the run is cancelled
+ * @returns {Promise<string>} - Group title
+ */
+async function nameCluster(url, model, titles, signal) {
+  const prompt = `These browser tabs were grouped together because their content is similar:\n${titles.map(title => `- ${title}`).join('\n')}\n\nGive the group a short title of 1-3 words describing what the tabs have in common. Respond with a JSON object with the field "title".`;
+  
+  const response = await promptModel({ type: 'ollama', url, model }, prompt, {
+    schema: {
+      type: 'object',
+      properties: { title: { type: 'string' } },
+      required: ['title']
+    },
+    signal
+  });
+  
+  const parsed = parseJsonResponse(response);
+  if (!parsed || typeof parsed.title !== 'string' || !parsed.title.trim()) {
+    throw new Error('Model returned no group title');
+  }
+  
+  return parsed.title.replace(/["']/g, '').trim().split(/\s+/).slice(0, 3).join(' ');
 }
 
 /**
@@ -529,6 +1259,16 @@ async function getTabContent(tabId) {
   }
 }
 
+/**
+ * Get content from a tab, unless the caller already extracted it
+ * @param {number} tabId - ID of the tab
+ * @param {string} [extractedContent] - Content extracted earlier in the same run
+ * @returns {Promise<string>} - Tab content
+ */
+async function getRequestedTabContent(tabId, extractedContent) {
+  return extractedContent || getTabContent(tabId);
+}
+
 /**
  * Extract content from the current page
  * This function runs in the context of the tab
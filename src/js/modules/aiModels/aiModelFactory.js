@@ -1,5 +1,6 @@
 import { GeminiModel } from './geminiModel.js';
 import { OllamaModel } from './ollamaModel.js';
+import { OpenAIModel } from './openaiModel.js';
 
 /**
  * Factory for creating AI model instances
@@ -8,9 +9,10 @@ export class AIModelFactory {
   /**
    * Create an AI model instance based on configuration
    * @param {Object} config - Configuration for the AI model
-   * @param {string} config.type - Type of AI model ('gemini' or 'ollama')
-   * @param {string} [config.url] - URL for Ollama API (required for Ollama)
-   * @param {string} [config.model] - Model name for Ollama (required for Ollama)
+   * @param {string} config.type - Type of AI model ('gemini', 'ollama' or 'openai')
+   * @param {string} [config.url] - URL for Ollama or OpenAI-compatible API (required for both)
+   * @param {string} [config.model] - Model name for Ollama or OpenAI-compatible API (required for both)
+   * @param {string} [config.apiKey] - Optional bearer token for OpenAI-compatible API
    * @returns {Object} - AI model instance
    */
   static createModel(config) {
@@ -22,6 +24,11 @@ export class AIModelFactory {
           throw new Error('Ollama URL and model name are required');
         }
         return new OllamaModel(config.url, config.model);
+      case 'openai':
+        if (!config.url || !config.model) {
+          throw new Error('OpenAI-compatible base URL and model name are required');
+        }
+        return new OpenAIModel(config.url, config.model, config.apiKey);
       default:
         throw new Error(`Unsupported AI model type: ${config.type}`);
     }
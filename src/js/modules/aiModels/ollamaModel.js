@@ -54,4 +54,16 @@ export class OllamaModel {
       }
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Check whether an installed model name refers to the requested model
+   * Ollama reports untagged models with an implicit ":latest" tag
+   * @param {string} installedName - Name reported by /api/tags
+   * @param {string} requestedName - Name chosen by the user
+   * @returns {boolean}
+   */
+  static matchesModel(installedName, requestedName) {
+    if (!requestedName) return false;
+    return installedName === requestedName || installedName === `${requestedName}:latest`;
+  }
+}
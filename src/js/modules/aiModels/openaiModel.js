@@ -0,0 +1,61 @@
+/**
+ * Implementation of an OpenAI-compatible chat completions model
+ * (llama.cpp server, LM Studio, vLLM, ...)
+ */
+export class OpenAIModel {
+  /**
+   * Create a new OpenAI-compatible model instance
+   * @param {string} url - Base URL of the OpenAI-compatible server
+   * @param {string} model - Model name
+   * @param {string} [apiKey] - Optional bearer token
+   */
+  constructor(url, model, apiKey = '') {
+    this.url = url;
+    this.model = model;
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Get category for a tab using the chat completions API
+   * @param {string} prompt - Prompt for the AI model
+   * @param {Object} tab - Tab object
+   * @returns {Promise<string>} - Category name
+   */
+  async getCategory(prompt, tab) {
+    try {
+      // Send request to background script to make the API call
+      // (Content scripts can't make cross-origin requests directly)
+      const result = await chrome.runtime.sendMessage({
+        action: 'analyzeWithOpenAI',
+        url: this.url,
+        model: this.model,
+        apiKey: this.apiKey,
+        prompt: prompt,
+        tabId: tab.id
+      });
+      
+      if (result.error) {
+        console.warn(`OpenAI-compatible error for tab "${tab.title}": ${result.error}`);
+        // Don't throw error, return the category from fallback mechanism
+        return result.category || 'Uncategorized';
+      }
+      
+      return result.category || 'Misc';
+    } catch (error) {
+      console.error('Error using OpenAI-compatible model:', error);
+      // Send a message to use the simulate fallback
+      try {
+        const fallbackResult = await chrome.runtime.sendMessage({
+          action: 'simulateFallback',
+          tabId: tab.id,
+          title: tab.title || '',
+          url: tab.url || ''
+        });
+        return fallbackResult.category || 'Uncategorized';
+      } catch (fallbackError) {
+        console.error('Error using fallback categorization:', fallbackError);
+        return 'Uncategorized';
+      }
+    }
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Archive Manager for Tab Genius extension
+ * Handles the archived tabs list in the popup, with search and one-click reopen
+ */
+import debugLogger from './debugLogger.js';
+import analytics from './analytics.js';
+import { TabArchive } from './tabArchive.js';
+
+export class ArchiveManager {
+  constructor() {
+    this.tabArchive = new TabArchive();
+    this.entries = [];
+    this.listContainer = null;
+    this.searchInput = null;
+  }
+
+  /**
+   * Initialize the archive manager
+   */
+  async init() {
+    try {
+      this.listContainer = document.getElementById('archiveList');
+      this.searchInput = document.getElementById('archiveSearchInput');
+      
+      this.searchInput.addEventListener('input', () => this.render());
+      
+      // Tabs archived by a job while the popup is open show up right away
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[this.tabArchive.storageKey]) {
+          this.entries = changes[this.tabArchive.storageKey].newValue || [];
+          this.render();
+        }
+      });
+      
+      this.entries = await this.tabArchive.load();
+      this.render();
+    } catch (error) {
+      debugLogger.error('Error initializing archive manager:', error);
+      analytics.trackError('archive_manager_init', error.message);
+    }
+  }
+
+  /**
+   * Render the archived tabs that match the search
+   */
+  render() {
+    if (!this.listContainer) return;
+    
+    document.getElementById('archiveCount').textContent = this.entries.length;
+    const entries = TabArchive.search(this.entries, this.searchInput.value);
+    
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'rule-empty';
+      empty.textContent = this.entries.length === 0 ? 'No archived tabs.' : 'No archived tabs match.';
+      this.listContainer.replaceChildren(empty);
+      return;
+    }
+    
+    this.listContainer.replaceChildren(...entries.map(entry => {
+      const item = document.createElement('li');
+      item.className = 'rule-item';
+      
+      const description = document.createElement('span');
+      description.className = 'rule-description';
+      description.title = `${entry.url}\nArchived ${new Date(entry.archivedAt).toLocaleDateString()}`;
+      
+      const category = document.createElement('span');
+      category.className = 'rule-type';
+      category.textContent = entry.category;
+      
+      description.append(category, ' ', entry.title);
+      
+      item.append(
+        description,
+        this.createButton('open_in_new', `Reopen ${entry.title}`, () => this.reopen(entry.id)),
+        this.createButton('close', `Remove ${entry.title} from the archive`, () => this.remove(entry.id))
+      );
+      return item;
+    }));
+  }
+
+  /**
+   * Create a small icon button for an archive row
+   * @param {string} icon - Material icon name
+   * @param {string} label - Accessible label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   */
+  createButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'rule-button';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    
+    const iconElement = document.createElement('i');
+    iconElement.className = 'material-icons-round';
+    iconElement.setAttribute('aria-hidden', 'true');
+    iconElement.textContent = icon;
+    button.appendChild(iconElement);
+    
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Reopen an archived tab
+   * @param {string} entryId - ID of the entry
+   */
+  async reopen(entryId) {
+    try {
+      await this.tabArchive.reopen(entryId);
+      analytics.trackEvent('archived_tab_reopened');
+    } catch (error) {
+      debugLogger.error('Error reopening archived tab:', error);
+      analytics.trackError('reopen_archived_tab', error.message);
+    }
+  }
+
+  /**
+   * Remove an entry from the archive without reopening it
+   * @param {string} entryId - ID of the entry
+   */
+  async remove(entryId) {
+    try {
+      await this.tabArchive.remove([entryId]);
+    } catch (error) {
+      debugLogger.error('Error removing archived tab:', error);
+      analytics.trackError('remove_archived_tab', error.message);
+    }
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Auto Organizer for Tab Genius extension
+ * Opt-in mode that categorizes tabs as they finish loading and moves each one
+ * into the group for its category. Loads are debounced so a burst of new tabs
+ * is classified together; pinned tabs, grouped tabs, excluded domains and tabs
+ * the user has just moved are left alone.
+ */
+import debugLogger from './debugLogger.js';
+import { TabOrganizer } from './tabOrganizer.js';
+import { TabStateManager } from './tabStateManager.js';
+import { RuleEngine } from './ruleEngine.js';
+
+export class AutoOrganizer {
+  /**
+   * @param {JobManager} jobManager - Used to stay out of the way of running jobs
+   * @param {Function} sendMessage - Delivers messages to the worker's own message handler
+   */
+  constructor(jobManager, sendMessage) {
+    this.jobManager = jobManager;
+    this.sendMessage = sendMessage;
+    // Wait for loads to settle before classifying
+    this.debounceDelay = 3000;
+    // Tabs the user moved within this time are not touched
+    this.manualMoveGrace = 60000;
+    this.pendingTabIds = new Set();
+    this.debounceTimer = null;
+    // Flushes run one after another, so two never create the same category's group
+    this.flushQueue = Promise.resolve();
+    // Time of the last manual move of each tab, keyed by tab ID
+    this.manualMoves = new Map();
+    // Tabs this organizer is moving, so their events are not taken for manual moves
+    this.movingTabIds = new Set();
+  }
+
+  /**
+   * Load the auto mode settings
+   * @returns {Promise<Object>} - { enabled, excludedDomains, modelConfig }
+   */
+  async loadSettings() {
+    const [syncSettings, localSettings] = await Promise.all([
+      chrome.storage.sync.get(['autoOrganizeEnabled', 'autoOrganizeExcludedDomains']),
+      chrome.storage.local.get('autoOrganizeModelConfig')
+    ]);
+    
+    return {
+      enabled: syncSettings.autoOrganizeEnabled === true,
+      excludedDomains: syncSettings.autoOrganizeExcludedDomains || [],
+      // The popup stores the model that was selected when auto mode was turned on
+      modelConfig: localSettings.autoOrganizeModelConfig || { type: 'gemini' }
+    };
+  }
+
+  /**
+   * Handle a tab update; tabs that finished loading are queued for classification
+   * @param {number} tabId - Tab ID
+   * @param {Object} changeInfo - Changed tab properties
+   * @param {Object} tab - Updated tab
+   */
+  handleTabUpdated(tabId, changeInfo, tab) {
+    if (changeInfo.status !== 'complete' || tab.pinned) return;
+    
+    this.pendingTabIds.add(tabId);
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.scheduleFlush(), this.debounceDelay);
+  }
+
+  /**
+   * Queue a flush to run after any flush still classifying or grouping
+   * Tabs that finish loading meanwhile are picked up by the queued flush
+   * @returns {Promise<void>}
+   */
+  scheduleFlush() {
+    this.flushQueue = this.flushQueue
+      .then(() => this.flush())
+      .catch(error => {
+        debugLogger.error('Auto organize failed:', error);
+      });
+    return this.flushQueue;
+  }
+
+  /**
+   * Remember that a tab was moved, unless the extension moved it
+   * @param {number} tabId - Tab ID
+   * @param {number} windowId - Window the tab is in
+   */
+  handleTabMoved(tabId, windowId) {
+    if (this.isMoving(tabId) || this.jobManager.isBusy(windowId)) return;
+    
+    this.manualMoves.set(tabId, Date.now());
+  }
+
+  /**
+   * Forget a closed tab
+   * @param {number} tabId - Tab ID
+   */
+  handleTabRemoved(tabId) {
+    this.pendingTabIds.delete(tabId);
+    this.manualMoves.delete(tabId);
+  }
+
+  /**
+   * Check whether this organizer is moving a tab
+   * @param {number} tabId - Tab ID
+   * @returns {boolean}
+   */
+  isMoving(tabId) {
+    return this.movingTabIds.has(tabId);
+  }
+
+  /**
+   * Check whether a URL's domain is on the exclude list
+   * @param {string} url - Tab URL
+   * @param {Array<string>} excludedDomains - Domains; subdomains are excluded too
+   * @returns {boolean}
+   */
+  static isExcluded(url, excludedDomains) {
+    const hostname = RuleEngine.getHostname(url);
+    return excludedDomains.some(domain => {
+      // Hostnames are compared without "www.", so the domain is too
+      const excluded = domain.trim().replace(/^\*\./, '').toLowerCase().replace(/^www\./, '');
+      return excluded && (hostname === excluded || hostname.endsWith(`.${excluded}`));
+    });
+  }
+
+  /**
+   * Classify the queued tabs and move them into their groups
+   * Use scheduleFlush rather than calling this directly
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const tabIds = [...this.pendingTabIds];
+    this.pendingTabIds.clear();
+    
+    const settings = await this.loadSettings();
+    if (!settings.enabled || tabIds.length === 0) return;
+    
+    // Look the tabs up again, since they may have changed while waiting
+    const tabs = (await Promise.all(tabIds.map(tabId => chrome.tabs.get(tabId).catch(() => null))))
+      .filter(tab => tab && this.shouldOrganize(tab, settings));
+    
+    const tabsByWindow = new Map();
+    for (const tab of tabs) {
+      if (!tabsByWindow.has(tab.windowId)) {
+        tabsByWindow.set(tab.windowId, []);
+      }
+      tabsByWindow.get(tab.windowId).push(tab);
+    }
+    
+    for (const [windowId, windowTabs] of tabsByWindow) {
+      await this.organizeTabs(windowId, windowTabs, settings);
+    }
+  }
+
+  /**
+   * Check whether a loaded tab may be organized automatically
+   * @param {Object} tab - Tab
+   * @param {Object} settings - Settings from loadSettings
+   * @returns {boolean}
+   */
+  shouldOrganize(tab, settings) {
+    if (tab.pinned || tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) return false;
+    if (!/^https?:/.test(tab.url || '')) return false;
+    if (AutoOrganizer.isExcluded(tab.url, settings.excludedDomains)) return false;
+    if (this.jobManager.isBusy(tab.windowId)) return false;
+    
+    const movedAt = this.manualMoves.get(tab.id);
+    return !movedAt || Date.now() - movedAt > this.manualMoveGrace;
+  }
+
+  /**
+   * Classify tabs of one window and add them to their category groups
+   * @param {number} windowId - Window ID
+   * @param {Array} tabs - Tabs to organize
+   * @param {Object} settings - Settings from loadSettings
+   * @returns {Promise<void>}
+   */
+  async organizeTabs(windowId, tabs, settings) {
+    debugLogger.log('Auto organizing tabs', { windowId, tabCount: tabs.length });
+    
+    const tabOrganizer = new TabOrganizer(new TabStateManager(windowId), this.sendMessage);
+    const analyzedCategories = await tabOrganizer.analyzeTabs(tabs, settings.modelConfig);
+    
+    // The user may have moved or grouped a tab while it was being classified
+    const currentTabs = await chrome.tabs.query({ windowId });
+    const tabCategories = {};
+    currentTabs
+      .filter(tab => tab.id in analyzedCategories && this.shouldOrganize(tab, settings))
+      .forEach(tab => {
+        tabCategories[tab.id] = analyzedCategories[tab.id];
+        this.movingTabIds.add(tab.id);
+      });
+    
+    if (Object.keys(tabCategories).length === 0) return;
+    
+    try {
+      await tabOrganizer.groupTabsByCategory(tabCategories, windowId);
+    } finally {
+      // Group and move events for these tabs arrive shortly after the calls return
+      setTimeout(() => Object.keys(tabCategories).forEach(tabId => this.movingTabIds.delete(Number(tabId))), 2000);
+    }
+  }
+}
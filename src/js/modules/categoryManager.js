@@ -4,19 +4,19 @@
  */
 import debugLogger from './debugLogger.js';
 import analytics from './analytics.js';
+import { GroupColors, GROUP_COLORS } from './groupColors.js';
+import { DEFAULT_CATEGORIES } from './defaultCategories.js';
 
 export class CategoryManager {
   constructor() {
-    this.defaultCategories = [
-      'News', 'Shopping', 'Media', 'Education', 'Social', 
-      'Tech', 'Games', 'Finance', 'Travel', 'Food',
-      'Health', 'Sports', 'Entertainment', 'Business', 'Reference',
-      'Productivity', 'Development', 'Science', 'Arts', 'Learning',
-      'Leadership', 'Research', 'Career', 'Networking', 'Analytics',
-      'Marketing', 'Design', 'Documentation', 'Communication', 'Misc'
-    ];
+    this.defaultCategories = [...DEFAULT_CATEGORIES];
     this.categories = [];
     this.categoryTagsContainer = null;
+    this.groupColors = new GroupColors();
+    // Group colors the user fixed, keyed by category
+    this.fixedColors = {};
+    // Category whose color picker is open
+    this.colorPickerCategory = null;
   }
 
   /**
@@ -45,6 +45,7 @@ export class CategoryManager {
   async loadCategories() {
     try {
       const result = await chrome.storage.sync.get('tabSorterCategories');
+      this.fixedColors = await this.groupColors.loadFixedColors();
       
       if (result && result.tabSorterCategories && Array.isArray(result.tabSorterCategories)) {
         this.categories = result.tabSorterCategories;
@@ -112,6 +113,18 @@ export class CategoryManager {
       tag.className = 'category-tag';
       tag.setAttribute('data-category', category);
       
+      const fixedColor = this.fixedColors[category];
+      const colorBtn = document.createElement('button');
+      colorBtn.className = 'color-swatch';
+      colorBtn.dataset.color = fixedColor || 'auto';
+      colorBtn.title = fixedColor ? `Group color: ${fixedColor}` : 'Group color: automatic';
+      colorBtn.setAttribute('aria-label', `Choose group color for ${category}`);
+      colorBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleColorPicker(category);
+      });
+      tag.appendChild(colorBtn);
+      
       const tagText = document.createElement('span');
       tagText.textContent = category;
       tag.appendChild(tagText);
@@ -128,6 +141,82 @@ export class CategoryManager {
       tag.appendChild(deleteBtn);
       this.categoryTagsContainer.appendChild(tag);
     });
+    
+    // Close the picker if its category is gone
+    if (this.colorPickerCategory && !this.categories.includes(this.colorPickerCategory)) {
+      this.toggleColorPicker(this.colorPickerCategory);
+    }
+  }
+
+  /**
+   * Open the group color picker for a category, or close it if it is already open
+   * @param {string} category - Category to choose a color for
+   */
+  toggleColorPicker(category) {
+    const picker = document.getElementById('categoryColorPicker');
+    if (!picker) return;
+    
+    if (this.colorPickerCategory === category) {
+      this.colorPickerCategory = null;
+      picker.classList.add('hidden');
+      return;
+    }
+    
+    this.colorPickerCategory = category;
+    
+    const label = document.createElement('span');
+    label.className = 'color-picker-label';
+    label.textContent = `Group color for ${category}:`;
+    
+    const options = ['auto', ...GROUP_COLORS].map(color => {
+      const option = document.createElement('button');
+      option.className = 'color-swatch';
+      option.dataset.color = color;
+      option.title = color === 'auto' ? 'Automatic' : color;
+      option.setAttribute('aria-label', color === 'auto' ? 'Automatic color' : color);
+      option.setAttribute('aria-pressed', String((this.fixedColors[category] || 'auto') === color));
+      option.addEventListener('click', () => this.setCategoryColor(category, color === 'auto' ? null : color));
+      return option;
+    });
+    
+    picker.replaceChildren(label, ...options);
+    picker.classList.remove('hidden');
+  }
+
+  /**
+   * Fix the group color of a category, or let it be chosen automatically
+   * @param {string} category - Category name
+   * @param {string|null} color - Color from GROUP_COLORS, or null for automatic
+   */
+  async setCategoryColor(category, color) {
+    try {
+      if (color) {
+        this.fixedColors = { ...this.fixedColors, [category]: color };
+      } else {
+        const { [category]: _, ...remaining } = this.fixedColors;
+        this.fixedColors = remaining;
+      }
+      
+      await this.groupColors.saveFixedColors(this.fixedColors);
+      analytics.trackEvent('category_color_set', { color: color || 'auto' });
+      
+      this.toggleColorPicker(category);
+      this.renderCategories();
+    } catch (error) {
+      debugLogger.error('Error setting category color:', error);
+      analytics.trackError('set_category_color', error.message);
+    }
+  }
+
+  /**
+   * Drop fixed colors of categories that no longer exist
+   * @returns {Promise<void>}
+   */
+  async pruneFixedColors() {
+    this.fixedColors = Object.fromEntries(
+      Object.entries(this.fixedColors).filter(([category]) => this.categories.includes(category))
+    );
+    await this.groupColors.saveFixedColors(this.fixedColors);
   }
 
   /**
@@ -197,6 +286,7 @@ export class CategoryManager {
       
       // Save to storage
       await chrome.storage.sync.set({ tabSorterCategories: this.categories });
+      await this.pruneFixedColors();
       
       // Track category removal
       analytics.trackEvent('category_removed', { category });
@@ -225,6 +315,7 @@ export class CategoryManager {
       
       // Save to storage
       await chrome.storage.sync.set({ tabSorterCategories: this.categories });
+      await this.pruneFixedColors();
       
       // Track reset action
       analytics.trackEvent('categories_reset');
@@ -253,6 +344,7 @@ export class CategoryManager {
       
       // Save to storage
       await chrome.storage.sync.set({ tabSorterCategories: this.categories });
+      await this.pruneFixedColors();
       
       // Track delete all action
       analytics.trackEvent('categories_deleted_all');
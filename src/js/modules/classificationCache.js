@@ -0,0 +1,167 @@
+/**
+ * Classification Cache for Tab Genius extension
+ * Remembers the category of tabs that were already classified, keyed by
+ * normalized URL and a digest of the extracted page content
+ */
+import debugLogger from './debugLogger.js';
+import { UrlNormalizer } from './urlNormalizer.js';
+
+export class ClassificationCache {
+  /**
+   * @param {number} [maxEntries] - LRU size cap
+   */
+  constructor(maxEntries = 500) {
+    this.storageKey = 'tabGeniusClassificationCache';
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Compute a hex SHA-256 digest of a string
+   * @param {string} text - Text to hash
+   * @returns {Promise<string>} - Hex digest
+   */
+  async digest(text) {
+    const data = new TextEncoder().encode(text);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(hashBuffer))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Build the cache key for a tab
+   * @param {string} url - Tab URL
+   * @param {string} content - Extracted tab content
+   * @returns {Promise<string>} - Cache key
+   */
+  async buildKey(url, content) {
+    // Trivial URL differences such as tracking parameters don't defeat the cache
+    return `${UrlNormalizer.normalize(url)}#${await this.digest(content)}`;
+  }
+
+  /**
+   * Get the version of the prompt and category list results were classified with
+   * Changing either invalidates the whole cache
+   * @param {string} prompt - Analysis prompt
+   * @param {Array<string>} categories - Active categories
+   * @returns {Promise<string>} - Prompt version
+   */
+  async getPromptVersion(prompt, categories) {
+    return this.digest(JSON.stringify({ prompt, categories }));
+  }
+
+  /**
+   * Load the cache from storage, discarding it if it was built with another prompt version
+   * @param {string} promptVersion - Current prompt version
+   * @returns {Promise<Object>} - Map of cache keys to entries
+   */
+  async loadEntries(promptVersion) {
+    const result = await chrome.storage.local.get(this.storageKey);
+    const cache = result[this.storageKey];
+    
+    if (!cache || cache.promptVersion !== promptVersion) {
+      if (cache) {
+        debugLogger.log('Classification cache invalidated by prompt or category change');
+        await this.clear();
+      }
+      return {};
+    }
+    
+    return cache.entries || {};
+  }
+
+  /**
+   * Save cache entries, evicting the least recently used ones over the size cap
+   * @param {Object} entries - Map of cache keys to entries
+   * @param {string} promptVersion - Current prompt version
+   * @returns {Promise<void>}
+   */
+  async saveEntries(entries, promptVersion) {
+    const keys = Object.keys(entries);
+    
+    if (keys.length > this.maxEntries) {
+      keys
+        .sort((a, b) => entries[a].lastUsed - entries[b].lastUsed)
+        .slice(0, keys.length - this.maxEntries)
+        .forEach(key => delete entries[key]);
+    }
+    
+    await chrome.storage.local.set({
+      [this.storageKey]: { promptVersion, entries }
+    });
+  }
+
+  /**
+   * Look up cached categories
+   * Only results from the given model count, so switching models does not serve old results
+   * @param {Object} cacheKeys - Map of tab IDs to cache keys
+   * @param {string} promptVersion - Current prompt version
+   * @param {string} model - Model the tabs would be classified with, e.g. "ollama:llama3.2"
+   * @returns {Promise<Object>} - Map of tab IDs to cached categories (hits only)
+   */
+  async lookup(cacheKeys, promptVersion, model) {
+    try {
+      const entries = await this.loadEntries(promptVersion);
+      const hits = {};
+      const now = Date.now();
+      
+      for (const [tabId, key] of Object.entries(cacheKeys)) {
+        const entry = entries[key];
+        if (entry && entry.promptVersion === promptVersion && entry.model === model) {
+          hits[tabId] = entry.category;
+          entry.lastUsed = now;
+        }
+      }
+      
+      debugLogger.log('Classification cache lookup', {
+        requested: Object.keys(cacheKeys).length,
+        hits: Object.keys(hits).length
+      });
+      
+      if (Object.keys(hits).length > 0) {
+        await this.saveEntries(entries, promptVersion);
+      }
+      
+      return hits;
+    } catch (error) {
+      debugLogger.error('Error reading classification cache:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Store classification results
+   * @param {Array<Object>} results - Array of { key, category }
+   * @param {Object} meta - Classification metadata
+   * @param {string} meta.model - Model the results came from
+   * @param {string} meta.promptVersion - Current prompt version
+   * @returns {Promise<void>}
+   */
+  async store(results, { model, promptVersion }) {
+    if (results.length === 0) {
+      return;
+    }
+    
+    try {
+      const entries = await this.loadEntries(promptVersion);
+      const now = Date.now();
+      
+      for (const { key, category } of results) {
+        entries[key] = { category, model, promptVersion, lastUsed: now };
+      }
+      
+      await this.saveEntries(entries, promptVersion);
+      debugLogger.log('Classification cache updated', { stored: results.length });
+    } catch (error) {
+      debugLogger.error('Error writing classification cache:', error);
+    }
+  }
+
+  /**
+   * Remove all cached classifications
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await chrome.storage.local.remove(this.storageKey);
+  }
+}
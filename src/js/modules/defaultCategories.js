@@ -0,0 +1,14 @@
+/**
+ * Default Categories for Tab Genius extension
+ * Built-in categories used until the user edits the category list
+ */
+
+// Shared by the popup's category list, the service worker and the local classifier
+export const DEFAULT_CATEGORIES = [
+  'News', 'Shopping', 'Media', 'Education', 'Social',
+  'Tech', 'Games', 'Finance', 'Travel', 'Food',
+  'Health', 'Sports', 'Entertainment', 'Business', 'Reference',
+  'Productivity', 'Development', 'Science', 'Arts', 'Learning',
+  'Leadership', 'Research', 'Career', 'Networking', 'Analytics',
+  'Marketing', 'Design', 'Documentation', 'Communication', 'Misc'
+];
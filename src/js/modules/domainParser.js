@@ -0,0 +1,104 @@
+/**
+ * Domain Parser for Tab Genius extension
+ * Splits URLs into registrable domain, subdomain and path using the bundled
+ * public suffix list, so tabs can be sorted by the site they belong to
+ */
+import { PUBLIC_SUFFIX_RULES } from './publicSuffixList.js';
+
+const SUFFIXES = new Set(PUBLIC_SUFFIX_RULES.filter(rule => !rule.startsWith('*.') && !rule.startsWith('!')));
+const WILDCARD_SUFFIXES = new Set(PUBLIC_SUFFIX_RULES.filter(rule => rule.startsWith('*.')).map(rule => rule.slice(2)));
+const EXCEPTIONS = new Set(PUBLIC_SUFFIX_RULES.filter(rule => rule.startsWith('!')).map(rule => rule.slice(1)));
+
+export class DomainParser {
+  /**
+   * Get the public suffix of a hostname, such as "com" or "co.uk"
+   * Follows the list's algorithm: exceptions win, then the longest matching rule.
+   * A wildcard such as "*.compute.amazonaws.com" matches one label more than its
+   * base, so it is checked before a plain rule of the base's length
+   * @param {string} hostname - Lowercase hostname
+   * @returns {string} - Public suffix
+   */
+  static getPublicSuffix(hostname) {
+    const labels = hostname.split('.');
+    
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+      
+      if (EXCEPTIONS.has(candidate)) {
+        return labels.slice(i + 1).join('.');
+      }
+      if (i > 0 && WILDCARD_SUFFIXES.has(candidate)) {
+        return labels.slice(i - 1).join('.');
+      }
+      if (SUFFIXES.has(candidate)) {
+        return candidate;
+      }
+    }
+    
+    return labels[labels.length - 1];
+  }
+
+  /**
+   * Get the registrable domain of a hostname: its public suffix plus one label
+   * IP addresses, single-label hosts and bare suffixes are returned unchanged
+   * @param {string} hostname - Hostname
+   * @returns {string} - E.g. "bbc.co.uk" for "news.bbc.co.uk"
+   */
+  static getRegistrableDomain(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (!host.includes('.') || /^[\d.]+$/.test(host) || host.startsWith('[')) {
+      return host;
+    }
+    
+    const suffix = DomainParser.getPublicSuffix(host);
+    if (suffix === host) {
+      return host;
+    }
+    
+    const rest = host.slice(0, -suffix.length - 1).split('.');
+    return `${rest[rest.length - 1]}.${suffix}`;
+  }
+
+  /**
+   * Split a URL into the parts tabs are sorted by
+   * The scheme and a leading "www." are ignored. Subdomain labels are reversed,
+   * so "a.b.example.com" sorts right after "b.example.com"
+   * @param {string} url - URL
+   * @returns {Object|null} - {domain, subdomain, path}, or null for URLs without a host
+   */
+  static parse(url) {
+    try {
+      const parsed = new URL(url);
+      if (!parsed.hostname) return null;
+      
+      const hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+      const domain = DomainParser.getRegistrableDomain(hostname);
+      const subdomain = hostname === domain
+        ? ''
+        : hostname.slice(0, -domain.length - 1).split('.').reverse().join('.');
+      
+      return {
+        domain,
+        subdomain,
+        path: `${parsed.pathname}${parsed.search}`.toLowerCase()
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Compare two parsed URLs by registrable domain, then subdomain
+   * URLs without a host (file:, about:, data:) sort after all web pages
+   * @param {Object|null} a - First URL from parse
+   * @param {Object|null} b - Second URL from parse
+   * @returns {number} - Negative, zero or positive, as for Array.prototype.sort
+   */
+  static compareHosts(a, b) {
+    if (!a || !b) {
+      return Number(!a) - Number(!b);
+    }
+    
+    return a.domain.localeCompare(b.domain) || a.subdomain.localeCompare(b.subdomain);
+  }
+}
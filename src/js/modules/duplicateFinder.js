@@ -0,0 +1,98 @@
+/**
+ * Duplicate Finder for Tab Genius extension
+ * Finds tabs that show the same page once their URLs are normalized, and
+ * closes the extra copies in a way that undo can reopen
+ */
+import debugLogger from './debugLogger.js';
+import { TabSorter } from './tabSorter.js';
+import { UrlNormalizer } from './urlNormalizer.js';
+
+export class DuplicateFinder {
+  /**
+   * @param {TabStateManager} tabStateManager - Decides which tabs are searched and saves them for undo
+   */
+  constructor(tabStateManager) {
+    this.tabStateManager = tabStateManager;
+    this.tabSorter = new TabSorter(tabStateManager);
+  }
+
+  /**
+   * Find duplicate tabs in scope
+   * @returns {Promise<Array>} - Duplicate sets ({url, keep, duplicates}), largest first
+   */
+  async findDuplicates() {
+    const tabs = await this.tabSorter.getAllTabs();
+    const options = await UrlNormalizer.loadOptions();
+    const duplicateSets = DuplicateFinder.groupDuplicates(tabs, options);
+    
+    debugLogger.log('Duplicate tabs found', {
+      tabCount: tabs.length,
+      setCount: duplicateSets.length,
+      options
+    });
+    
+    return duplicateSets;
+  }
+
+  /**
+   * Group tabs by normalized URL, keeping only URLs open more than once
+   * @param {Array} tabs - Tabs to search
+   * @param {Object} [options] - Normalization rules, see DEFAULT_URL_NORMALIZATION
+   * @returns {Array} - Duplicate sets ({url, keep, duplicates}), largest first
+   */
+  static groupDuplicates(tabs, options = {}) {
+    const tabsByUrl = new Map();
+    for (const tab of tabs) {
+      const url = UrlNormalizer.normalize(tab.url, options);
+      if (!tabsByUrl.has(url)) {
+        tabsByUrl.set(url, []);
+      }
+      tabsByUrl.get(url).push(tab);
+    }
+    
+    return [...tabsByUrl.entries()]
+      .filter(([, sameTabs]) => sameTabs.length > 1)
+      .map(([url, sameTabs]) => {
+        const keep = DuplicateFinder.pickTabToKeep(sameTabs);
+        return { url, keep, duplicates: sameTabs.filter(tab => tab !== keep) };
+      })
+      .sort((a, b) => b.duplicates.length - a.duplicates.length);
+  }
+
+  /**
+   * Pick the copy of a page to keep: the active tab, otherwise the most recently used
+   * @param {Array} tabs - Tabs showing the same page
+   * @returns {Object} - Tab to keep
+   */
+  static pickTabToKeep(tabs) {
+    return [...tabs].sort((a, b) =>
+      Number(b.active) - Number(a.active) ||
+      (b.lastAccessed || 0) - (a.lastAccessed || 0) ||
+      a.index - b.index
+    )[0];
+  }
+
+  /**
+   * Close duplicate tabs, recording them so undo reopens them
+   * Call tabStateManager.saveCurrentState() first
+   * @param {Array<number>} tabIds - IDs of the tabs to close
+   * @returns {Promise<number>} - Number of tabs closed
+   * @throws {Error} - If none of the tabs are open anymore
+   */
+  async closeDuplicates(tabIds) {
+    const openTabs = await chrome.tabs.query({});
+    const closeIds = openTabs
+      .filter(tab => tabIds.includes(tab.id) && !tab.pinned)
+      .map(tab => tab.id);
+    
+    if (closeIds.length === 0) {
+      throw new Error('None of the duplicate tabs are open anymore');
+    }
+    
+    await this.tabStateManager.recordClosedTabs(closeIds);
+    await chrome.tabs.remove(closeIds);
+    
+    debugLogger.log('Closed duplicate tabs', { count: closeIds.length });
+    return closeIds.length;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Duplicate Manager for Tab Genius extension
+ * Handles the duplicate tabs preview in the popup: each page that is open more
+ * than once is listed with the copies that will be closed already ticked
+ */
+import debugLogger from './debugLogger.js';
+
+export class DuplicateManager {
+  constructor() {
+    this.duplicateSets = [];
+    // Scope the duplicates were searched in, so closing them saves the same tabs for undo
+    this.scope = null;
+    this.listContainer = null;
+  }
+
+  /**
+   * Initialize the duplicate manager
+   */
+  init() {
+    this.listContainer = document.getElementById('duplicateList');
+  }
+
+  /**
+   * Show duplicate sets for review
+   * @param {Array} duplicateSets - Sets from DuplicateFinder.findDuplicates
+   * @param {string} scope - Scope the duplicates were searched in
+   */
+  show(duplicateSets, scope) {
+    this.duplicateSets = duplicateSets;
+    this.scope = scope;
+    this.render();
+    
+    document.getElementById('duplicatesSection').classList.remove('hidden');
+  }
+
+  /**
+   * Hide the preview
+   */
+  hide() {
+    this.duplicateSets = [];
+    document.getElementById('duplicatesSection').classList.add('hidden');
+  }
+
+  /**
+   * Render the duplicate sets
+   */
+  render() {
+    if (!this.listContainer) return;
+    
+    this.listContainer.replaceChildren(...this.duplicateSets.map(set => {
+      const block = document.createElement('div');
+      block.className = 'plan-group';
+      
+      const url = document.createElement('div');
+      url.className = 'duplicate-url';
+      url.textContent = set.url;
+      url.title = set.url;
+      
+      const list = document.createElement('ul');
+      list.className = 'plan-tab-list';
+      list.append(
+        this.createTabItem(set.keep, false),
+        ...set.duplicates.map(tab => this.createTabItem(tab, true))
+      );
+      
+      block.append(url, list);
+      return block;
+    }));
+  }
+
+  /**
+   * Create the row for one tab of a duplicate set
+   * @param {Object} tab - Tab
+   * @param {boolean} close - Whether the tab is ticked for closing
+   * @returns {HTMLLIElement}
+   */
+  createTabItem(tab, close) {
+    const item = document.createElement('li');
+    item.className = 'plan-tab';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = close;
+    checkbox.dataset.tabId = tab.id;
+    checkbox.setAttribute('aria-label', `Close ${tab.title || tab.url}`);
+    
+    const title = document.createElement('span');
+    title.className = 'progress-title';
+    title.textContent = tab.title || tab.url;
+    title.title = tab.url;
+    
+    const state = document.createElement('span');
+    state.className = 'duplicate-state';
+    state.textContent = tab.active ? 'active' : '';
+    
+    item.append(checkbox, title, state);
+    return item;
+  }
+
+  /**
+   * Get the tabs ticked for closing
+   * @returns {Array<number>} - Tab IDs
+   * @throws {Error} - If nothing is ticked or every copy of a page is ticked
+   */
+  getSelectedTabIds() {
+    const tabIds = [];
+    
+    for (const block of this.listContainer.children) {
+      const checkboxes = [...block.querySelectorAll('input[type="checkbox"]')];
+      const selected = checkboxes.filter(checkbox => checkbox.checked);
+      
+      if (selected.length === checkboxes.length) {
+        throw new Error('Keep at least one tab of each page');
+      }
+      tabIds.push(...selected.map(checkbox => Number(checkbox.dataset.tabId)));
+    }
+    
+    if (tabIds.length === 0) {
+      throw new Error('No duplicate tabs selected');
+    }
+    
+    debugLogger.log('Duplicate tabs selected for closing', { count: tabIds.length });
+    return tabIds;
+  }
+}
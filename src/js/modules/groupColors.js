@@ -0,0 +1,123 @@
+/**
+ * Group Colors for Tab Genius extension
+ * Picks tab group colors: categories can have a fixed color, the others get a
+ * remembered color that is kept distinct from the groups already in the window
+ */
+import debugLogger from './debugLogger.js';
+
+// Colors Chrome supports for tab groups
+export const GROUP_COLORS = [
+  'grey', 'blue', 'red', 'yellow', 'green',
+  'pink', 'purple', 'cyan', 'orange'
+];
+
+export class GroupColors {
+  constructor() {
+    // Colors chosen by the user, synced with the category list
+    this.fixedColorsKey = 'tabGeniusCategoryColors';
+    // Colors picked automatically, remembered so a category keeps its color across runs
+    this.assignedColorsKey = 'tabGeniusAssignedColors';
+    this.maxAssignedColors = 200;
+  }
+
+  /**
+   * Get the color a category starts from before it has a remembered color
+   * @param {string} category - Category name
+   * @returns {string} - Color name from GROUP_COLORS
+   */
+  static getHashColor(category) {
+    const hash = category.split('').reduce((acc, char) => {
+      return acc + char.charCodeAt(0);
+    }, 0);
+    
+    return GROUP_COLORS[hash % GROUP_COLORS.length];
+  }
+
+  /**
+   * Load the colors the user fixed for categories
+   * @returns {Promise<Object>} - Map of category names to colors
+   */
+  async loadFixedColors() {
+    try {
+      const result = await chrome.storage.sync.get(this.fixedColorsKey);
+      return result[this.fixedColorsKey] || {};
+    } catch (error) {
+      debugLogger.error('Error loading category colors:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the colors the user fixed for categories
+   * @param {Object} fixedColors - Map of category names to colors
+   * @returns {Promise<void>}
+   */
+  async saveFixedColors(fixedColors) {
+    await chrome.storage.sync.set({ [this.fixedColorsKey]: fixedColors });
+  }
+
+  /**
+   * Choose colors for new groups in a window
+   * Fixed colors are always used. Other categories keep their remembered color if
+   * no group in the window has it yet, otherwise they get the next free color for
+   * this run; only once every color is taken do groups share one.
+   * @param {Array<string>} categories - Categories that need a new group
+   * @param {Array<string>} usedColors - Colors of the groups already in the window
+   * @returns {Promise<Map>} - Map of categories to colors
+   */
+  async assignColors(categories, usedColors = []) {
+    const fixedColors = await this.loadFixedColors();
+    const result = await chrome.storage.local.get(this.assignedColorsKey);
+    const assignedColors = result[this.assignedColorsKey] || {};
+    let assignedChanged = false;
+    
+    const taken = new Set(usedColors);
+    const colors = new Map();
+    
+    // Fixed colors first, so automatic colors steer clear of them
+    for (const category of categories) {
+      if (GROUP_COLORS.includes(fixedColors[category])) {
+        colors.set(category, fixedColors[category]);
+        taken.add(fixedColors[category]);
+      }
+    }
+    
+    for (const category of categories) {
+      if (colors.has(category)) continue;
+      
+      const preferred = assignedColors[category] || GroupColors.getHashColor(category);
+      const start = GROUP_COLORS.indexOf(preferred);
+      const free = GROUP_COLORS
+        .map((_, offset) => GROUP_COLORS[(start + offset) % GROUP_COLORS.length])
+        .find(color => !taken.has(color));
+      const color = free || preferred;
+      
+      // A category's first color is remembered; later clashes only change it for that run.
+      // Using it moves the category to the end, so the least recently used go first.
+      const remembered = assignedColors[category] || color;
+      delete assignedColors[category];
+      assignedColors[category] = remembered;
+      assignedChanged = true;
+      
+      colors.set(category, color);
+      taken.add(color);
+    }
+    
+    if (assignedChanged) {
+      // Forget the least recently used categories, e.g. names of one-off similarity clusters
+      const names = Object.keys(assignedColors);
+      names.slice(0, Math.max(names.length - this.maxAssignedColors, 0)).forEach(name => {
+        delete assignedColors[name];
+      });
+      
+      try {
+        await chrome.storage.local.set({ [this.assignedColorsKey]: assignedColors });
+      } catch (error) {
+        debugLogger.warn('Could not save group colors:', error);
+      }
+    }
+    
+    debugLogger.log('Group colors assigned', Object.fromEntries(colors));
+    return colors;
+  }
+}
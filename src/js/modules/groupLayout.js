@@ -0,0 +1,205 @@
+/**
+ * Group Layout for Tab Genius extension
+ * Orders the tab groups of a window, collapses the ones the user is not in and
+ * keeps ungrouped tabs at one end of the tab strip after organizing
+ */
+import debugLogger from './debugLogger.js';
+import { GROUP_COLORS } from './groupColors.js';
+
+// Default layout settings
+export const DEFAULT_GROUP_LAYOUT = {
+  groupOrder: 'none',
+  collapseGroups: false,
+  ungroupedPosition: 'keep'
+};
+
+// Ways groups can be ordered
+export const GROUP_ORDERS = {
+  none: 'Keep the current order',
+  categoryList: 'Category list order',
+  size: 'Largest first',
+  alphabetical: 'Alphabetically',
+  recent: 'Most recently used first',
+  color: 'By color'
+};
+
+// Where ungrouped tabs go
+export const UNGROUPED_POSITIONS = {
+  keep: 'Leave in place',
+  start: 'Before the groups',
+  end: 'After the groups'
+};
+
+export class GroupLayout {
+  /**
+   * @param {Object} [settings] - Layout settings; missing values use DEFAULT_GROUP_LAYOUT
+   */
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_GROUP_LAYOUT };
+    
+    if (GROUP_ORDERS[settings.groupOrder]) this.settings.groupOrder = settings.groupOrder;
+    if (typeof settings.collapseGroups === 'boolean') this.settings.collapseGroups = settings.collapseGroups;
+    if (UNGROUPED_POSITIONS[settings.ungroupedPosition]) this.settings.ungroupedPosition = settings.ungroupedPosition;
+  }
+
+  /**
+   * Create a layout from the settings in storage
+   * @returns {Promise<GroupLayout>}
+   */
+  static async load() {
+    try {
+      const settings = await chrome.storage.sync.get(['groupOrder', 'collapseGroups', 'ungroupedPosition']);
+      return new GroupLayout(settings);
+    } catch (error) {
+      debugLogger.error('Error loading group layout:', error);
+      return new GroupLayout();
+    }
+  }
+
+  /**
+   * Check whether the layout changes anything
+   * @returns {boolean}
+   */
+  isActive() {
+    const { groupOrder, collapseGroups, ungroupedPosition } = this.settings;
+    return groupOrder !== 'none' || collapseGroups || ungroupedPosition !== 'keep';
+  }
+
+  /**
+   * Lay out the groups of each window
+   * @param {Iterable<number>} windowIds - Windows that were organized
+   * @returns {Promise<void>}
+   */
+  async apply(windowIds) {
+    if (!this.isActive()) return;
+    
+    let categories = [];
+    if (this.settings.groupOrder === 'categoryList') {
+      const result = await chrome.storage.sync.get('tabSorterCategories');
+      categories = result.tabSorterCategories || [];
+    }
+    
+    for (const windowId of windowIds) {
+      await this.applyToWindow(windowId, categories);
+    }
+  }
+
+  /**
+   * Lay out the groups of one window
+   * @param {number} windowId - Window ID
+   * @param {Array<string>} categories - Category list, for categoryList order
+   * @returns {Promise<void>}
+   */
+  async applyToWindow(windowId, categories) {
+    const tabs = await chrome.tabs.query({ windowId });
+    const groups = await chrome.tabGroups.query({ windowId });
+    if (groups.length === 0) return;
+    
+    const { groupOrder, collapseGroups, ungroupedPosition } = this.settings;
+    debugLogger.log('Laying out tab groups', { windowId, groupCount: groups.length, ...this.settings });
+    
+    if (groupOrder !== 'none' || ungroupedPosition !== 'keep') {
+      const orderedGroups = groupOrder === 'none'
+        ? GroupLayout.getGroupsInStripOrder(groups, tabs)
+        : GroupLayout.sortGroups(groups, tabs, groupOrder, categories);
+      await GroupLayout.moveGroups(windowId, orderedGroups, tabs, ungroupedPosition);
+    }
+    
+    if (collapseGroups) {
+      // The group the user is working in stays open
+      const activeTab = tabs.find(tab => tab.active);
+      const activeGroupId = activeTab ? activeTab.groupId : chrome.tabGroups.TAB_GROUP_ID_NONE;
+      
+      for (const group of groups) {
+        await chrome.tabGroups.update(group.id, { collapsed: group.id !== activeGroupId });
+      }
+    }
+  }
+
+  /**
+   * Get groups in the order they appear in the tab strip
+   * @param {Array} groups - Tab groups of one window
+   * @param {Array} tabs - Tabs of the same window
+   * @returns {Array} - Tab groups
+   */
+  static getGroupsInStripOrder(groups, tabs) {
+    const firstIndex = new Map();
+    for (const tab of tabs) {
+      if (!firstIndex.has(tab.groupId)) {
+        firstIndex.set(tab.groupId, tab.index);
+      }
+    }
+    
+    return [...groups].sort((a, b) => firstIndex.get(a.id) - firstIndex.get(b.id));
+  }
+
+  /**
+   * Sort groups
+   * @param {Array} groups - Tab groups of one window
+   * @param {Array} tabs - Tabs of the same window
+   * @param {string} order - Key of GROUP_ORDERS other than none
+   * @param {Array<string>} [categories] - Category list, for categoryList order
+   * @returns {Array} - Sorted tab groups
+   */
+  static sortGroups(groups, tabs, order, categories = []) {
+    const sizes = new Map();
+    const lastAccessed = new Map();
+    for (const tab of tabs) {
+      sizes.set(tab.groupId, (sizes.get(tab.groupId) || 0) + 1);
+      lastAccessed.set(tab.groupId, Math.max(lastAccessed.get(tab.groupId) || 0, tab.lastAccessed || 0));
+    }
+    
+    const positions = new Map(categories.map((category, index) => [category.toLowerCase(), index]));
+    const getPosition = group => {
+      const position = positions.get((group.title || '').trim().toLowerCase());
+      return position === undefined ? Infinity : position;
+    };
+    const compareTitles = (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' });
+    
+    // Ties, and groups missing from the category list, fall back to their titles
+    const comparators = {
+      categoryList: (a, b) => getPosition(a) - getPosition(b) || compareTitles(a, b),
+      size: (a, b) => sizes.get(b.id) - sizes.get(a.id) || compareTitles(a, b),
+      alphabetical: compareTitles,
+      recent: (a, b) => lastAccessed.get(b.id) - lastAccessed.get(a.id) || compareTitles(a, b),
+      // Colors follow the order of Chrome's color picker
+      color: (a, b) => GROUP_COLORS.indexOf(a.color) - GROUP_COLORS.indexOf(b.color) || compareTitles(a, b)
+    };
+    
+    return [...groups].sort((a, b) => {
+      const result = comparators[order](a, b);
+      // Infinity - Infinity is NaN for two groups missing from the category list
+      return Number.isNaN(result) ? compareTitles(a, b) : result;
+    });
+  }
+
+  /**
+   * Move a window's groups into the given order as one block
+   * @param {number} windowId - Window ID
+   * @param {Array} orderedGroups - Tab groups of the window in their new order
+   * @param {Array} tabs - Tabs of the window, before anything moves
+   * @param {string} [ungroupedPosition] - Key of UNGROUPED_POSITIONS
+   * @returns {Promise<void>}
+   */
+  static async moveGroups(windowId, orderedGroups, tabs, ungroupedPosition = 'keep') {
+    const pinnedCount = tabs.filter(tab => tab.pinned).length;
+    const ungroupedTabIds = tabs
+      .filter(tab => !tab.pinned && tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE)
+      .map(tab => tab.id);
+    
+    // The block starts where the first group was, unless ungrouped tabs move aside
+    let index = Math.min(...tabs.filter(tab => tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE).map(tab => tab.index));
+    if (ungroupedTabIds.length > 0 && ungroupedPosition === 'start') {
+      await chrome.tabs.move(ungroupedTabIds, { windowId, index: pinnedCount });
+      index = pinnedCount + ungroupedTabIds.length;
+    } else if (ungroupedTabIds.length > 0 && ungroupedPosition === 'end') {
+      await chrome.tabs.move(ungroupedTabIds, { windowId, index: -1 });
+      index = pinnedCount;
+    }
+    
+    for (const group of orderedGroups) {
+      await chrome.tabGroups.move(group.id, { windowId, index });
+      index += tabs.filter(tab => tab.groupId === group.id).length;
+    }
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Grouping Policy for Tab Genius extension
+ * Merges small categories and caps the number of groups before tabs are grouped
+ */
+import debugLogger from './debugLogger.js';
+
+// Default policy settings; nothing is merged until the user raises the minimum
+export const DEFAULT_GROUPING_POLICY = {
+  minGroupSize: 1,
+  maxGroups: 0,
+  smallGroupAction: 'related',
+  otherGroupName: 'Other'
+};
+
+// Categories close enough that a small one can be merged into another
+const RELATED_CATEGORIES = [
+  ['Development', 'Dev', 'Programming', 'Code', 'Software', 'Engineering', 'Tech', 'Technology'],
+  ['News', 'Articles', 'Politics', 'Current Events'],
+  ['Media', 'Entertainment', 'Video', 'Videos', 'Music', 'Streaming', 'Movies'],
+  ['Education', 'Learning', 'Courses', 'Tutorials', 'Study'],
+  ['Research', 'Science', 'Papers', 'Academic'],
+  ['Documentation', 'Docs', 'Reference', 'Manuals', 'Guides'],
+  ['Social', 'Social Media', 'Networking', 'Communication', 'Email', 'Chat'],
+  ['Shopping', 'Deals', 'Ecommerce', 'Store'],
+  ['Finance', 'Business', 'Banking', 'Investing', 'Money'],
+  ['Career', 'Jobs', 'Job Search', 'Recruiting'],
+  ['Analytics', 'Data', 'Metrics', 'Marketing'],
+  ['Productivity', 'Tools', 'Utilities', 'Work'],
+  ['Design', 'Arts', 'Art', 'Creative'],
+  ['Games', 'Gaming'],
+  ['Health', 'Fitness', 'Medical', 'Food', 'Recipes'],
+  ['Travel', 'Maps', 'Hotels', 'Flights'],
+  ['Sports', 'Fitness'],
+  ['Leadership', 'Management']
+];
+
+export class GroupingPolicy {
+  /**
+   * @param {Object} [settings] - Policy settings; missing values use DEFAULT_GROUPING_POLICY
+   */
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_GROUPING_POLICY };
+    
+    const minGroupSize = parseInt(settings.minGroupSize);
+    if (minGroupSize >= 1) this.settings.minGroupSize = minGroupSize;
+    
+    const maxGroups = parseInt(settings.maxGroups);
+    if (maxGroups >= 0) this.settings.maxGroups = maxGroups;
+    
+    if (settings.smallGroupAction === 'other' || settings.smallGroupAction === 'related') {
+      this.settings.smallGroupAction = settings.smallGroupAction;
+    }
+    
+    if (typeof settings.otherGroupName === 'string' && settings.otherGroupName.trim()) {
+      this.settings.otherGroupName = settings.otherGroupName.trim();
+    }
+  }
+
+  /**
+   * Create a policy from the settings in storage
+   * @returns {Promise<GroupingPolicy>}
+   */
+  static async load() {
+    try {
+      const settings = await chrome.storage.sync.get(['minGroupSize', 'maxGroups', 'smallGroupAction', 'otherGroupName']);
+      return new GroupingPolicy(settings);
+    } catch (error) {
+      debugLogger.error('Error loading grouping policy:', error);
+      return new GroupingPolicy();
+    }
+  }
+
+  /**
+   * Find a category related to the given one
+   * @param {string} category - Category to find a relative for
+   * @param {Array<string>} candidates - Categories it may be merged into
+   * @returns {string|null} - Matching candidate, or null if none is related
+   */
+  static findRelatedCategory(category, candidates) {
+    const name = category.trim().toLowerCase();
+    
+    return candidates.find(candidate => {
+      const candidateName = candidate.trim().toLowerCase();
+      if (candidateName === name) return true;
+      
+      return RELATED_CATEGORIES.some(related => {
+        const names = related.map(entry => entry.toLowerCase());
+        return names.includes(name) && names.includes(candidateName);
+      });
+    }) || null;
+  }
+
+  /**
+   * Apply the policy to the categories chosen for a window's tabs
+   * Categories below the minimum size are merged into a related category or the
+   * "Other" group, then the smallest categories are merged until the window is
+   * within the maximum group count. Categories that match an existing group are
+   * never too small, since their tabs join that group. When the window already
+   * has the maximum number of groups and no "Other" group, categories without a
+   * related existing group are left out, so their tabs stay ungrouped.
+   * @param {Object} tabCategories - Map of tab IDs to categories
+   * @param {Array<string>} [existingGroupTitles] - Titles of the groups already in the window
+   * @returns {Object} - { categories: {tabId: category}, merged: {tabId: originalCategory} }
+   */
+  apply(tabCategories, existingGroupTitles = []) {
+    const { minGroupSize, maxGroups, smallGroupAction, otherGroupName } = this.settings;
+    const existingTitles = new Set(existingGroupTitles.map(title => title.trim().toLowerCase()).filter(Boolean));
+    
+    const groups = new Map();
+    for (const [tabId, category] of Object.entries(tabCategories)) {
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(tabId);
+    }
+    
+    const merged = {};
+    const mergeInto = (category, target) => {
+      if (category === target) return;
+      
+      const tabIds = groups.get(category);
+      tabIds.forEach(tabId => { merged[tabId] = merged[tabId] || category; });
+      groups.set(target, [...(groups.get(target) || []), ...tabIds]);
+      groups.delete(category);
+    };
+    const isExisting = category => existingTitles.has(category.trim().toLowerCase());
+    const isBigEnough = category => isExisting(category) || groups.get(category).length >= minGroupSize;
+    const bySize = (a, b) => groups.get(a).length - groups.get(b).length;
+    
+    // Smallest categories first, so two small relatives can add up to one group
+    if (smallGroupAction === 'related') {
+      for (const category of [...groups.keys()].sort(bySize)) {
+        if (isBigEnough(category)) continue;
+        
+        const candidates = [...groups.keys()].filter(other => other !== category).sort((a, b) => bySize(b, a));
+        const related = GroupingPolicy.findRelatedCategory(category, candidates);
+        if (related) mergeInto(category, related);
+      }
+    }
+    
+    for (const category of [...groups.keys()]) {
+      if (category !== otherGroupName && !isBigEnough(category)) {
+        mergeInto(category, otherGroupName);
+      }
+    }
+    
+    // Existing groups keep their slots; the largest new categories get the rest
+    if (maxGroups > 0) {
+      const newCategories = [...groups.keys()].filter(category => !isExisting(category) && category !== otherGroupName);
+      const hasNewOther = groups.has(otherGroupName) && !isExisting(otherGroupName);
+      const freeSlots = maxGroups - existingTitles.size;
+      
+      if (newCategories.length + (hasNewOther ? 1 : 0) > freeSlots) {
+        // A new "Other" group needs a slot of its own
+        const otherSlot = isExisting(otherGroupName) ? 0 : 1;
+        const overflow = newCategories
+          .sort((a, b) => bySize(b, a))
+          .slice(Math.max(freeSlots - otherSlot, 0));
+        
+        if (freeSlots >= otherSlot) {
+          overflow.forEach(category => mergeInto(category, otherGroupName));
+        } else {
+          // The window is full: tabs join a related existing group or stay ungrouped
+          const titles = existingGroupTitles.filter(title => title.trim());
+          for (const category of hasNewOther ? [...overflow, otherGroupName] : overflow) {
+            const related = GroupingPolicy.findRelatedCategory(category, titles);
+            if (related) {
+              mergeInto(category, related);
+            } else {
+              groups.get(category).forEach(tabId => { delete merged[tabId]; });
+              groups.delete(category);
+            }
+          }
+        }
+      }
+    }
+    
+    const categories = {};
+    for (const [category, tabIds] of groups) {
+      tabIds.forEach(tabId => { categories[tabId] = category; });
+    }
+    
+    debugLogger.log('Grouping policy applied', {
+      settings: this.settings,
+      groupCount: groups.size,
+      mergedTabCount: Object.keys(merged).length
+    });
+    
+    return { categories, merged };
+  }
+}
@@ -0,0 +1,690 @@
+/**
+ * Job Manager for Tab Genius extension
+ * Runs sort and organize operations in the service worker so they keep going
+ * after the popup closes. The popup submits jobs and watches them over a port.
+ * Job state is checkpointed to chrome.storage.session: a job interrupted by the
+ * worker being suspended is resumed if no tabs had moved yet, otherwise rolled back.
+ */
+import debugLogger from './debugLogger.js';
+import analytics from './analytics.js';
+import { TabOrganizer } from './tabOrganizer.js';
+import { TabSorter } from './tabSorter.js';
+import { TabStateManager } from './tabStateManager.js';
+import { DuplicateFinder } from './duplicateFinder.js';
+import { StaleTabFinder } from './staleTabFinder.js';
+
+// Status messages and analytics error names for each job type
+const JOB_TYPES = {
+  organizeByContent: {
+    running: 'Organizing tabs by content...',
+    completed: 'Tabs organized by content!',
+    errorEvent: 'organize_by_content'
+  },
+  planByContent: {
+    running: 'Analyzing tabs for a preview...',
+    completed: 'Preview ready. Adjust the groups below and click Apply.',
+    errorEvent: 'plan_by_content'
+  },
+  applyPlan: {
+    running: 'Applying the previewed groups...',
+    completed: 'Tabs organized as previewed!',
+    errorEvent: 'apply_plan'
+  },
+  organizeBySimilarity: {
+    running: 'Organizing tabs by similarity...',
+    completed: 'Tabs organized by similarity!',
+    errorEvent: 'organize_by_similarity'
+  },
+  sortByTitle: {
+    running: 'Sorting tabs by title...',
+    completed: 'Tabs sorted by title!',
+    errorEvent: 'sort_by_title'
+  },
+  sortByUrl: {
+    running: 'Sorting tabs by URL...',
+    completed: 'Tabs sorted by URL!',
+    errorEvent: 'sort_by_url'
+  },
+  sortByDomain: {
+    running: 'Sorting tabs by domain...',
+    completed: 'Tabs sorted by domain!',
+    errorEvent: 'sort_by_domain'
+  },
+  sortByLastAccessed: {
+    running: 'Sorting tabs by last use...',
+    completed: 'Tabs sorted by last use!',
+    errorEvent: 'sort_by_last_accessed'
+  },
+  sortByCreation: {
+    running: 'Sorting tabs by opening order...',
+    completed: 'Tabs sorted by opening order!',
+    errorEvent: 'sort_by_creation'
+  },
+  sortByAudible: {
+    running: 'Moving playing tabs first...',
+    completed: 'Playing tabs moved first!',
+    errorEvent: 'sort_by_audible'
+  },
+  sortByKeys: {
+    running: 'Sorting tabs...',
+    completed: 'Tabs sorted!',
+    errorEvent: 'sort_by_keys'
+  },
+  closeDuplicates: {
+    running: 'Closing duplicate tabs...',
+    completed: 'Duplicate tabs closed!',
+    errorEvent: 'close_duplicates'
+  },
+  groupStaleTabs: {
+    running: 'Grouping stale tabs...',
+    completed: 'Stale tabs grouped!',
+    errorEvent: 'group_stale_tabs'
+  },
+  discardStaleTabs: {
+    running: 'Unloading stale tabs...',
+    completed: 'Stale tabs unloaded from memory!',
+    errorEvent: 'discard_stale_tabs'
+  },
+  archiveStaleTabs: {
+    running: 'Archiving stale tabs...',
+    completed: 'Stale tabs archived! Reopen them from Archived Tabs.',
+    errorEvent: 'archive_stale_tabs'
+  },
+  ungroupAllTabs: {
+    running: 'Removing all tab groups...',
+    completed: 'All tab groups removed!',
+    errorEvent: 'ungroup_tabs'
+  },
+  undo: {
+    running: 'Restoring previous tab state...',
+    completed: 'Previous tab state restored!',
+    errorEvent: 'undo_action'
+  }
+};
+
+export class JobManager {
+  /**
+   * @param {Function} sendMessage - Delivers messages to the worker's own message handler
+   */
+  constructor(sendMessage) {
+    this.sendMessage = sendMessage;
+    this.storageKey = 'tabGeniusJobs';
+    // Latest job for each window, keyed by window ID
+    this.jobs = {};
+    // Abort controller and organizer of each running job, keyed by job ID
+    this.running = new Map();
+    // Popup ports watching each window, keyed by window ID
+    this.observers = new Map();
+    this.initPromise = null;
+  }
+
+  /**
+   * Load checkpointed jobs and recover any that were interrupted
+   * Safe to call more than once
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.restoreJobs();
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Load checkpointed jobs from session storage
+   * @returns {Promise<void>}
+   */
+  async restoreJobs() {
+    try {
+      const result = await chrome.storage.session.get(this.storageKey);
+      this.jobs = result[this.storageKey] || {};
+    } catch (error) {
+      debugLogger.error('Could not load job checkpoints:', error);
+    }
+    
+    // Nothing runs yet in a freshly started worker, so a running job was interrupted
+    for (const job of Object.values(this.jobs)) {
+      if (job.status === 'running') {
+        await this.recover(job);
+      }
+    }
+  }
+
+  /**
+   * Write all jobs to session storage
+   * @returns {Promise<void>}
+   */
+  async checkpoint() {
+    try {
+      await chrome.storage.session.set({ [this.storageKey]: this.jobs });
+    } catch (error) {
+      debugLogger.warn('Could not checkpoint jobs:', error);
+    }
+  }
+
+  /**
+   * Attach a popup port that watches a window's jobs
+   * The port is named "jobs:<windowId>" and receives the current job right away
+   * @param {chrome.runtime.Port} port - Port opened by the popup
+   * @returns {Promise<void>}
+   */
+  async connect(port) {
+    const windowId = Number(port.name.substring('jobs:'.length));
+    
+    if (!this.observers.has(windowId)) {
+      this.observers.set(windowId, new Set());
+    }
+    this.observers.get(windowId).add(port);
+    
+    port.onMessage.addListener((message) => {
+      if (message && message.type === 'cancel') {
+        this.cancel(message.jobId);
+      } else if (message && message.type === 'discardPlan') {
+        this.discardPlan(message.jobId);
+      } else if (message && message.type === 'updatePlan') {
+        this.updatePlan(message.jobId, message.plan);
+      }
+    });
+    
+    // Closing the popup stops watching but leaves the job running
+    port.onDisconnect.addListener(() => {
+      this.observers.get(windowId).delete(port);
+    });
+    
+    await this.init();
+    
+    try {
+      port.postMessage({
+        type: 'job',
+        job: this.jobs[windowId] || null,
+        canUndo: await this.canUndo(windowId),
+        initial: true
+      });
+    } catch (error) {
+      debugLogger.warn('Could not post job state:', error);
+    }
+  }
+
+  /**
+   * Post a message to every popup watching a window
+   * @param {number} windowId - Window ID
+   * @param {Object} message - Message to post
+   */
+  broadcast(windowId, message) {
+    const ports = this.observers.get(windowId);
+    if (!ports) return;
+    
+    for (const port of ports) {
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        debugLogger.warn('Could not post to popup:', error);
+      }
+    }
+  }
+
+  /**
+   * Tell watching popups about a job's current state
+   * @param {Object} job - Job
+   * @returns {Promise<void>}
+   */
+  async notifyJob(job) {
+    this.broadcast(job.windowId, {
+      type: 'job',
+      job: job,
+      canUndo: await this.canUndo(job.windowId)
+    });
+  }
+
+  /**
+   * Check whether a window has a saved state to undo
+   * @param {number} windowId - Window ID
+   * @returns {Promise<boolean>}
+   */
+  async canUndo(windowId) {
+    const tabStateManager = new TabStateManager(windowId);
+    await tabStateManager.loadState();
+    return tabStateManager.canUndo();
+  }
+
+  /**
+   * Start a job for a window
+   * @param {number} windowId - Window to operate on
+   * @param {string} type - Job type (organizeByContent, sortByTitle, undo, ...)
+   * @param {Object} [options] - Job options ({scope, layout, modelConfig, plan, tabIds, sortKeys})
+   * @returns {Promise<string>} - ID of the new job
+   * @throws {Error} - If the type is unknown or a running job works on the same tabs
+   */
+  async submit(windowId, type, options = {}) {
+    await this.init();
+    
+    if (!JOB_TYPES[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    
+    const currentJob = this.jobs[windowId];
+    if (currentJob && currentJob.status === 'running') {
+      throw new Error('Another operation is still running in this window');
+    }
+    
+    // A job that reaches into other windows must not run alongside any other job
+    const runningJobs = Object.values(this.jobs).filter(job => job.status === 'running');
+    if (runningJobs.length > 0 && (JobManager.spansWindows(options) || runningJobs.some(job => JobManager.spansWindows(job.options)))) {
+      throw new Error('Another operation is still running in another window');
+    }
+    
+    const job = {
+      id: crypto.randomUUID(),
+      type: type,
+      windowId: windowId,
+      options: options,
+      status: 'running',
+      // starting/analyzing: no tabs moved yet; grouping/moving: tabs are being moved
+      phase: 'starting',
+      message: JOB_TYPES[type].running,
+      events: [],
+      error: null,
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+    
+    debugLogger.log('Starting job', { id: job.id, type: type, windowId: windowId });
+    
+    this.jobs[windowId] = job;
+    await this.checkpoint();
+    await this.notifyJob(job);
+    
+    this.execute(job);
+    return job.id;
+  }
+
+  /**
+   * Run a job to completion and record the outcome
+   * @param {Object} job - Job
+   * @param {Object} [knownCategories] - Tab categories kept from an interrupted run
+   * @returns {Promise<void>}
+   */
+  async execute(job, knownCategories = {}) {
+    const tabStateManager = new TabStateManager(job.windowId, job.options.scope, job.options.layout);
+    const tabOrganizer = new TabOrganizer(tabStateManager, this.sendMessage);
+    this.running.set(job.id, { controller: new AbortController(), tabOrganizer: tabOrganizer });
+    
+    const startTime = performance.now();
+    try {
+      let completed = true;
+      
+      switch (job.type) {
+        case 'organizeByContent':
+          await this.setPhase(job, 'analyzing');
+          completed = await tabOrganizer.organizeByContent(job.options.modelConfig, job.id, knownCategories, job.options.layout);
+          break;
+        case 'planByContent':
+          await this.setPhase(job, 'analyzing');
+          // The plan is kept on the job until it is applied or discarded
+          job.plan = await tabOrganizer.planByContent(job.options.modelConfig, job.id, knownCategories, job.options.layout);
+          completed = job.plan !== null;
+          break;
+        case 'applyPlan':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'grouping');
+          completed = await tabOrganizer.applyPlan(job.options.plan, job.id);
+          break;
+        case 'organizeBySimilarity':
+          await this.setPhase(job, 'analyzing');
+          completed = await tabOrganizer.organizeBySimilarity(job.options.modelConfig, job.id, job.options.layout);
+          break;
+        case 'sortByTitle':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'moving');
+          await new TabSorter(tabStateManager).sortByTitle();
+          break;
+        case 'sortByUrl':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'moving');
+          await new TabSorter(tabStateManager).sortByUrl();
+          break;
+        case 'sortByDomain':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'moving');
+          await new TabSorter(tabStateManager).sortByDomain();
+          break;
+        case 'sortByLastAccessed':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'moving');
+          await new TabSorter(tabStateManager).sortByLastAccessed();
+          break;
+        case 'sortByCreation':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'moving');
+          await new TabSorter(tabStateManager).sortByCreation();
+          break;
+        case 'sortByAudible':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'moving');
+          await new TabSorter(tabStateManager).sortByAudible();
+          break;
+        case 'sortByKeys':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'moving');
+          await new TabSorter(tabStateManager, this.sendMessage).sortByKeys(job.options.sortKeys);
+          break;
+        case 'closeDuplicates':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'moving');
+          await new DuplicateFinder(tabStateManager).closeDuplicates(job.options.tabIds);
+          break;
+        case 'groupStaleTabs':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'moving');
+          await new StaleTabFinder(tabStateManager, this.sendMessage).groupStaleTabs(job.options.tabIds);
+          break;
+        case 'discardStaleTabs':
+          // Discarded tabs stay where they are, so there is nothing to undo
+          await new StaleTabFinder(tabStateManager, this.sendMessage).discardStaleTabs(job.options.tabIds);
+          break;
+        case 'archiveStaleTabs':
+          // The archive is how archived tabs come back, rather than undo. The phase stays
+          // at starting: an interrupted archive is run again, never rolled back to an older snapshot.
+          // The entries it added are checkpointed before tabs close, so a re-run does not add them twice.
+          await new StaleTabFinder(tabStateManager, this.sendMessage).archiveStaleTabs(
+            job.options.tabIds,
+            job.archivedEntryIds || [],
+            async entries => {
+              job.archivedEntryIds = [...(job.archivedEntryIds || []), ...entries.map(entry => entry.id)];
+              await this.checkpoint();
+            }
+          );
+          break;
+        case 'ungroupAllTabs':
+          await tabStateManager.saveCurrentState();
+          await this.setPhase(job, 'moving');
+          await tabStateManager.ungroupAllTabs();
+          break;
+        case 'undo':
+          await tabStateManager.loadState();
+          if (!tabStateManager.canUndo()) {
+            throw new Error('Nothing to undo');
+          }
+          await this.setPhase(job, 'moving');
+          if (!await tabStateManager.restorePreviousState()) {
+            throw new Error('Failed to restore previous state');
+          }
+          break;
+      }
+      
+      if (completed) {
+        await this.trackJob(job, performance.now() - startTime);
+        await this.finish(job, 'completed', JOB_TYPES[job.type].completed);
+      } else {
+        await this.finish(job, 'cancelled', 'Organization cancelled, tabs left unchanged');
+      }
+    } catch (error) {
+      debugLogger.error(`Job ${job.type} failed:`, error);
+      analytics.trackError(JOB_TYPES[job.type].errorEvent, error.message);
+      await this.finish(job, 'failed', `Error: ${error.message}`, error.message);
+    } finally {
+      this.running.delete(job.id);
+    }
+  }
+
+  /**
+   * Record how far a job has got, so an interrupted job is recovered correctly
+   * @param {Object} job - Job
+   * @param {string} phase - New phase
+   * @returns {Promise<void>}
+   */
+  async setPhase(job, phase) {
+    job.phase = phase;
+    await this.checkpoint();
+  }
+
+  /**
+   * Mark a job as finished and tell the user
+   * @param {Object} job - Job
+   * @param {string} status - completed, cancelled, failed or rolledBack
+   * @param {string} message - Message shown to the user
+   * @param {string} [error] - Error message for failed jobs
+   * @returns {Promise<void>}
+   */
+  async finish(job, status, message, error = null) {
+    job.status = status;
+    job.message = message;
+    job.error = error;
+    job.finishedAt = Date.now();
+    
+    await this.checkpoint();
+    await this.notifyJob(job);
+    
+    // With the popup closed nobody sees the result, so fall back to a notification
+    const ports = this.observers.get(job.windowId);
+    if (!ports || ports.size === 0) {
+      this.sendMessage({ action: 'showNotification', title: 'Tab Genius', message: message });
+    }
+  }
+
+  /**
+   * Resume or roll back a job that was interrupted by the worker being suspended
+   * @param {Object} job - Job found running in the checkpoint
+   * @returns {Promise<void>}
+   */
+  async recover(job) {
+    // Nothing was moved yet, so the job can simply pick up where it left off
+    if (job.phase === 'starting' || job.phase === 'analyzing') {
+      debugLogger.log('Resuming interrupted job', { id: job.id, type: job.type });
+      this.execute(job, this.getKnownCategories(job));
+      return;
+    }
+    
+    debugLogger.log('Rolling back interrupted job', { id: job.id, type: job.type, phase: job.phase });
+    
+    // Restoring the saved state finishes an interrupted undo and rolls back anything else
+    const tabStateManager = new TabStateManager(job.windowId, job.options.scope, job.options.layout);
+    await tabStateManager.loadState();
+    const restored = await tabStateManager.restorePreviousState();
+    
+    if (!restored) {
+      await this.finish(job, 'failed', 'Error: The interrupted operation could not be rolled back', 'Rollback failed');
+    } else if (job.type === 'undo') {
+      await this.finish(job, 'completed', JOB_TYPES.undo.completed);
+    } else {
+      await this.finish(job, 'rolledBack', 'The interrupted operation was rolled back');
+    }
+  }
+
+  /**
+   * Collect the categories a job had already reported for its tabs
+   * @param {Object} job - Job
+   * @returns {Object} - Map of tab IDs to categories
+   */
+  getKnownCategories(job) {
+    const knownCategories = {};
+    
+    for (const event of job.events) {
+      if ((event.type === 'categoryAssigned' || event.type === 'fallbackUsed') && event.category) {
+        knownCategories[event.tabId] = event.category;
+      }
+    }
+    
+    return knownCategories;
+  }
+
+  /**
+   * Record a progress event reported by a running organizer
+   * @param {string} jobId - Job ID
+   * @param {Object} event - Progress event
+   * @returns {Promise<void>}
+   */
+  async handleProgress(jobId, event) {
+    const job = Object.values(this.jobs).find(candidate => candidate.id === jobId);
+    if (!job || job.status !== 'running') return;
+    
+    job.events.push(event);
+    if (event.type === 'grouping') {
+      job.phase = 'grouping';
+    }
+    
+    await this.checkpoint();
+    this.broadcast(job.windowId, { type: 'progress', jobId: jobId, event: event });
+  }
+
+  /**
+   * Cancel a running job
+   * Analysis stops and in-flight model requests are aborted
+   * @param {string} jobId - Job ID
+   */
+  cancel(jobId) {
+    const run = this.running.get(jobId);
+    if (!run) return;
+    
+    debugLogger.log(`Cancelling job ${jobId}`);
+    run.tabOrganizer.cancel();
+    run.controller.abort();
+  }
+
+  /**
+   * Replace the plan of a finished preview job with the user's edited version
+   * @param {string} jobId - Job ID
+   * @param {Object} plan - Edited plan
+   * @returns {Promise<void>}
+   */
+  async updatePlan(jobId, plan) {
+    const job = Object.values(this.jobs).find(candidate => candidate.id === jobId);
+    if (!job || !job.plan) return;
+    
+    job.plan = plan;
+    await this.checkpoint();
+  }
+
+  /**
+   * Drop the plan of a finished preview job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async discardPlan(jobId) {
+    const job = Object.values(this.jobs).find(candidate => candidate.id === jobId);
+    if (!job || !job.plan) return;
+    
+    delete job.plan;
+    job.message = 'Preview discarded, tabs left unchanged';
+    await this.checkpoint();
+    await this.notifyJob(job);
+  }
+
+  /**
+   * Get the abort signal for a running job
+   * @param {string} jobId - Job ID sent along with a model request
+   * @returns {AbortSignal|undefined} - Signal that fires when the job is cancelled
+   */
+  getSignal(jobId) {
+    const run = this.running.get(jobId);
+    return run ? run.controller.signal : undefined;
+  }
+
+  /**
+   * Check whether a job's options let it move tabs outside the window it was started from
+   * @param {Object} options - Job options
+   * @returns {boolean}
+   */
+  static spansWindows(options) {
+    return !!options && (options.scope === 'allWindows' || (!!options.layout && options.layout !== 'groups'));
+  }
+
+  /**
+   * Check whether a job that can reach a window is moving tabs, or has only just finished
+   * Tab events from the last moves can arrive shortly after the job ends
+   * @param {number} windowId - Window ID
+   * @returns {boolean}
+   */
+  isBusy(windowId) {
+    return Object.values(this.jobs).some(job => {
+      const isActive = job.status === 'running' || Date.now() - job.finishedAt < 2000;
+      return isActive && (job.windowId === windowId || JobManager.spansWindows(job.options));
+    });
+  }
+
+  /**
+   * Track a completed job in analytics
+   * @param {Object} job - Job
+   * @param {number} duration - Duration in milliseconds
+   * @returns {Promise<void>}
+   */
+  async trackJob(job, duration) {
+    try {
+      const tabs = await chrome.tabs.query({ windowId: job.windowId });
+      
+      switch (job.type) {
+        case 'organizeByContent':
+        case 'organizeBySimilarity': {
+          const tabGroups = await chrome.tabGroups.query({ windowId: job.windowId });
+          const modelType = job.type === 'organizeBySimilarity'
+            ? 'ollama_similarity'
+            : job.options.modelConfig.type;
+          analytics.trackOrganize(modelType, tabs.length, duration, tabGroups.length);
+          break;
+        }
+        case 'planByContent':
+          analytics.trackEvent('organize_previewed', {
+            model: job.options.modelConfig.type,
+            tab_count: tabs.length,
+            duration_ms: duration
+          });
+          break;
+        case 'applyPlan': {
+          const tabGroups = await chrome.tabGroups.query({ windowId: job.windowId });
+          analytics.trackOrganize('preview', tabs.length, duration, tabGroups.length);
+          break;
+        }
+        case 'sortByTitle':
+          analytics.trackSort('title', tabs.length, duration);
+          break;
+        case 'sortByUrl':
+          analytics.trackSort('url', tabs.length, duration);
+          break;
+        case 'sortByDomain':
+          analytics.trackSort('domain', tabs.length, duration);
+          break;
+        case 'sortByLastAccessed':
+          analytics.trackSort('last_accessed', tabs.length, duration);
+          break;
+        case 'sortByCreation':
+          analytics.trackSort('creation', tabs.length, duration);
+          break;
+        case 'sortByAudible':
+          analytics.trackSort('audible', tabs.length, duration);
+          break;
+        case 'sortByKeys':
+          analytics.trackSort(job.options.sortKeys.map(sortKey => sortKey.key).join('_'), tabs.length, duration);
+          break;
+        case 'closeDuplicates':
+          analytics.trackEvent('duplicates_closed', {
+            tab_count: job.options.tabIds.length,
+            duration_ms: duration
+          });
+          break;
+        case 'groupStaleTabs':
+        case 'discardStaleTabs':
+        case 'archiveStaleTabs':
+          analytics.trackEvent('stale_tabs_handled', {
+            action: job.type,
+            tab_count: job.options.tabIds.length,
+            duration_ms: duration
+          });
+          break;
+        case 'ungroupAllTabs':
+          analytics.trackEvent('tabs_ungrouped', {
+            tab_count: tabs.length,
+            duration_ms: duration
+          });
+          break;
+        case 'undo':
+          analytics.trackEvent('undo_action', {
+            success: true,
+            duration_ms: duration
+          });
+          break;
+      }
+    } catch (error) {
+      debugLogger.warn('Could not track job:', error);
+    }
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * Local Classifier for Tab Genius extension
+ * Multinomial naive Bayes over the words in a tab's title, URL and content.
+ * It categorizes tabs when the AI is unavailable or not confident. The model is
+ * seeded with keywords for the built-in categories and keeps learning from
+ * confident AI results and from tabs the user moves into groups, so custom
+ * categories can be predicted too.
+ */
+import debugLogger from './debugLogger.js';
+import { DEFAULT_CATEGORIES } from './defaultCategories.js';
+
+// Starting vocabulary for the built-in categories; a built-in category missing
+// here is seeded with its own name
+const SEED_KEYWORDS = {
+  News: ['news', 'article', 'politics', 'world', 'breaking', 'headline'],
+  Shopping: ['shop', 'price', 'buy', 'cart', 'product', 'checkout', 'deal'],
+  Media: ['video', 'watch', 'stream', 'movie', 'episode', 'youtube', 'podcast'],
+  Education: ['learn', 'course', 'education', 'tutorial', 'lesson', 'university'],
+  Social: ['social', 'profile', 'friend', 'follow', 'post', 'twitter', 'facebook', 'instagram', 'reddit'],
+  Tech: ['tech', 'software', 'programming', 'code', 'developer', 'api'],
+  Games: ['game', 'play', 'gaming', 'steam'],
+  Finance: ['finance', 'money', 'bank', 'invest', 'stock', 'crypto'],
+  Travel: ['travel', 'hotel', 'flight', 'vacation', 'booking', 'trip'],
+  Food: ['food', 'recipe', 'restaurant', 'cook', 'menu'],
+  Health: ['health', 'medical', 'fitness', 'doctor', 'symptoms'],
+  Sports: ['sports', 'team', 'player', 'match', 'league', 'score'],
+  Entertainment: ['entertainment', 'celebrity', 'tv', 'show', 'music', 'concert', 'netflix'],
+  Business: ['business', 'company', 'startup', 'enterprise', 'industry', 'sales'],
+  Reference: ['reference', 'wiki', 'wikipedia', 'dictionary', 'encyclopedia', 'definition'],
+  Productivity: ['productivity', 'calendar', 'todo', 'task', 'notes', 'spreadsheet', 'workspace'],
+  Development: ['development', 'github', 'repository', 'commit', 'stackoverflow', 'debug', 'npm'],
+  Science: ['science', 'physics', 'chemistry', 'biology', 'astronomy', 'experiment'],
+  Arts: ['art', 'arts', 'painting', 'gallery', 'museum', 'artist', 'illustration'],
+  Leadership: ['leadership', 'management', 'leader', 'manager'],
+  Learning: ['learning', 'study', 'training', 'skill'],
+  Research: ['research', 'paper', 'journal', 'analysis', 'arxiv'],
+  Career: ['career', 'job', 'resume', 'interview', 'employment', 'hiring'],
+  Networking: ['network', 'networking', 'connect', 'professional', 'linkedin'],
+  Analytics: ['analytics', 'data', 'metrics', 'dashboard', 'report'],
+  Marketing: ['marketing', 'campaign', 'promotion', 'advertise', 'seo'],
+  Design: ['design', 'ui', 'ux', 'graphic', 'creative', 'figma'],
+  Documentation: ['documentation', 'docs', 'manual', 'guide', 'instruction', 'reference'],
+  Communication: ['communication', 'chat', 'message', 'email', 'inbox', 'mail'],
+  Misc: ['misc', 'miscellaneous', 'other']
+};
+
+// Words that appear on most pages and say nothing about the category
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'you', 'your', 'with', 'this', 'that', 'are', 'was', 'from',
+  'have', 'has', 'not', 'but', 'all', 'can', 'will', 'our', 'more', 'about', 'how',
+  'what', 'when', 'who', 'its', 'into', 'out', 'new', 'get', 'use', 'one',
+  'title', 'url', 'content', 'description', 'http', 'https', 'www', 'com', 'org',
+  'net', 'html', 'htm', 'php', 'index'
+]);
+
+export class LocalClassifier {
+  constructor() {
+    this.storageKey = 'tabGeniusLocalClassifier';
+    // Distinct words kept per category, so the stored model stays small
+    this.maxTokensPerCategory = 1000;
+    // Usable right away; replaced by the stored model once it is loaded
+    this.model = LocalClassifier.createSeedModel();
+    this.initPromise = null;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load the stored model, if any
+   * Safe to call more than once
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.load();
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Load the model from local storage
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      const storedModel = result[this.storageKey];
+      
+      if (storedModel && storedModel.categories) {
+        this.model = storedModel;
+        
+        // Models stored before a built-in category was added have not seen it yet
+        const seedModel = LocalClassifier.createSeedModel();
+        for (const [category, entry] of Object.entries(seedModel.categories)) {
+          if (!this.model.categories[category]) {
+            this.model.categories[category] = entry;
+          }
+        }
+        debugLogger.log('Local classifier loaded', {
+          categories: Object.keys(this.model.categories).length
+        });
+      }
+    } catch (error) {
+      debugLogger.error('Error loading local classifier:', error);
+    }
+  }
+
+  /**
+   * Save the model shortly after the last change, so a burst of results is written once
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(async () => {
+      try {
+        await chrome.storage.local.set({ [this.storageKey]: this.model });
+      } catch (error) {
+        debugLogger.error('Error saving local classifier:', error);
+      }
+    }, 1000);
+  }
+
+  /**
+   * Build a model that only knows the seed keywords
+   * @returns {Object} - Model ({categories: {name: {docs, total, tokens}}})
+   */
+  static createSeedModel() {
+    const model = { categories: {} };
+    
+    for (const category of DEFAULT_CATEGORIES) {
+      const keywords = SEED_KEYWORDS[category] || [category];
+      LocalClassifier.addExample(model, LocalClassifier.tokenize(keywords.join(' ')), category, 1, Infinity);
+    }
+    
+    return model;
+  }
+
+  /**
+   * Split text into lowercase words, dropping stop words, numbers and very short words
+   * URLs are split on their punctuation, so hostnames and path segments become words
+   * @param {string} text - Title, URL and content of a tab
+   * @returns {Array<string>} - Words, with a plural "s" removed so "games" counts as "game"
+   */
+  static tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length >= 2 && token.length <= 30 && !/^\d+$/.test(token) && !STOP_WORDS.has(token))
+      .map(token => token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token);
+  }
+
+  /**
+   * Add a training example to a model
+   * @param {Object} model - Model to update
+   * @param {Array<string>} tokens - Words of the example
+   * @param {string} category - Category of the example
+   * @param {number} weight - How many times the example counts
+   * @param {number} maxTokens - Distinct words to keep for the category
+   */
+  static addExample(model, tokens, category, weight, maxTokens) {
+    if (!model.categories[category]) {
+      model.categories[category] = { docs: 0, total: 0, tokens: {} };
+    }
+    
+    const entry = model.categories[category];
+    entry.docs += weight;
+    
+    for (const token of tokens) {
+      entry.tokens[token] = (entry.tokens[token] || 0) + weight;
+      entry.total += weight;
+    }
+    
+    // Forget the rarest words once the category grows past its limit
+    const distinctTokens = Object.keys(entry.tokens);
+    if (distinctTokens.length > maxTokens) {
+      distinctTokens
+        .sort((a, b) => entry.tokens[a] - entry.tokens[b])
+        .slice(0, distinctTokens.length - Math.floor(maxTokens * 0.8))
+        .forEach(token => {
+          entry.total -= entry.tokens[token];
+          delete entry.tokens[token];
+        });
+    }
+  }
+
+  /**
+   * Predict the category of a tab
+   * @param {string} text - Title, URL and content of the tab
+   * @param {Array<string>} [allowedCategories] - Categories to choose from; all known ones if empty
+   * @returns {string} - Predicted category, or 'Misc' if none of the words are known
+   */
+  classify(text, allowedCategories = []) {
+    // Match allowed categories case-insensitively but answer with the allowed spelling
+    const allowedNames = new Map(allowedCategories.map(category => [category.toLowerCase(), category]));
+    const candidates = Object.keys(this.model.categories)
+      .filter(category => allowedNames.size === 0 || allowedNames.has(category.toLowerCase()));
+    
+    // Words no candidate has seen carry no evidence
+    const tokens = LocalClassifier.tokenize(text)
+      .filter(token => candidates.some(category => this.model.categories[category].tokens[token]));
+    
+    if (tokens.length === 0) {
+      return 'Misc';
+    }
+    
+    const vocabulary = new Set();
+    let totalDocs = 0;
+    for (const category of candidates) {
+      Object.keys(this.model.categories[category].tokens).forEach(token => vocabulary.add(token));
+      totalDocs += this.model.categories[category].docs;
+    }
+    
+    let bestCategory = 'Misc';
+    let bestScore = -Infinity;
+    for (const category of candidates) {
+      const entry = this.model.categories[category];
+      
+      // Log prior plus Laplace-smoothed log likelihood of each word
+      let score = Math.log(entry.docs / totalDocs);
+      for (const token of tokens) {
+        score += Math.log(((entry.tokens[token] || 0) + 1) / (entry.total + vocabulary.size));
+      }
+      
+      if (score > bestScore) {
+        bestScore = score;
+        bestCategory = category;
+      }
+    }
+    
+    return allowedNames.get(bestCategory.toLowerCase()) || bestCategory;
+  }
+
+  /**
+   * Train the model with a categorized tab
+   * @param {string} text - Title, URL and content of the tab
+   * @param {string} category - Category the tab belongs to
+   * @param {number} [weight] - How strongly the example counts (user corrections count more)
+   * @returns {Promise<void>}
+   */
+  async learn(text, category, weight = 1) {
+    await this.init();
+    
+    const tokens = LocalClassifier.tokenize(text);
+    if (!category || tokens.length === 0) return;
+    
+    LocalClassifier.addExample(this.model, tokens, category, weight, this.maxTokensPerCategory);
+    this.scheduleSave();
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Ollama Manager for Tab Genius extension
+ * Discovers the Ollama server's installed models, shows its health inline
+ * and persists the chosen URL and models
+ */
+import debugLogger from './debugLogger.js';
+import analytics from './analytics.js';
+import { OllamaModel } from './aiModels/ollamaModel.js';
+
+export class OllamaManager {
+  constructor() {
+    this.defaultUrl = 'http://localhost:11434';
+    this.defaultModel = 'llama3.2';
+    this.defaultEmbeddingModel = 'nomic-embed-text';
+    this.urlInput = null;
+    this.modelSelect = null;
+    this.embeddingModelSelect = null;
+    this.statusElement = null;
+    this.serverStatus = null;
+  }
+
+  /**
+   * Initialize the Ollama manager
+   */
+  async init() {
+    try {
+      this.urlInput = document.getElementById('ollama-url');
+      this.modelSelect = document.getElementById('ollama-model');
+      this.embeddingModelSelect = document.getElementById('ollama-embedding-model');
+      this.statusElement = document.getElementById('ollama-status');
+      
+      // Load saved settings from storage
+      const settings = await chrome.storage.sync.get(['ollamaUrl', 'ollamaModel', 'ollamaEmbeddingModel']);
+      this.urlInput.value = settings.ollamaUrl || this.defaultUrl;
+      this.renderModelOptions(this.modelSelect, [], settings.ollamaModel || this.defaultModel);
+      this.renderModelOptions(this.embeddingModelSelect, [], settings.ollamaEmbeddingModel || this.defaultEmbeddingModel);
+      
+      this.setupEventListeners();
+      
+      if (document.getElementById('model-select').value === 'ollama') {
+        await this.refresh();
+      }
+    } catch (error) {
+      debugLogger.error('Error initializing Ollama manager:', error);
+      analytics.trackError('ollama_manager_init', error.message);
+    }
+  }
+
+  /**
+   * Set up event listeners for the Ollama inputs
+   */
+  setupEventListeners() {
+    this.urlInput.addEventListener('change', async () => {
+      const url = this.getUrl();
+      this.urlInput.value = url;
+      await chrome.storage.sync.set({ ollamaUrl: url });
+      debugLogger.log('Ollama URL updated:', url);
+      await this.refresh();
+    });
+    
+    this.modelSelect.addEventListener('change', async () => {
+      await chrome.storage.sync.set({ ollamaModel: this.modelSelect.value });
+      debugLogger.log('Ollama model updated:', this.modelSelect.value);
+      this.renderStatus();
+    });
+    
+    this.embeddingModelSelect.addEventListener('change', async () => {
+      await chrome.storage.sync.set({ ollamaEmbeddingModel: this.embeddingModelSelect.value });
+      debugLogger.log('Ollama embedding model updated:', this.embeddingModelSelect.value);
+    });
+    
+    const refreshButton = document.getElementById('ollama-refresh');
+    if (refreshButton) {
+      refreshButton.addEventListener('click', () => this.refresh());
+    }
+    
+    document.getElementById('model-select').addEventListener('change', (e) => {
+      if (e.target.value === 'ollama') {
+        this.refresh();
+      }
+    });
+  }
+
+  /**
+   * Get the configured server URL without trailing slashes
+   * @returns {string}
+   */
+  getUrl() {
+    return (this.urlInput.value.trim() || this.defaultUrl).replace(/\/+$/, '');
+  }
+
+  /**
+   * Query the server for its version and installed models and update the UI
+   * @returns {Promise<Object>} - Server status from the background script
+   */
+  async refresh() {
+    this.setStatus('Checking Ollama server...', 'loading');
+    
+    try {
+      this.serverStatus = await chrome.runtime.sendMessage({
+        action: 'checkOllamaServer',
+        url: this.getUrl()
+      });
+    } catch (error) {
+      this.serverStatus = { reachable: false, models: [], error: error.message };
+    }
+    
+    const models = this.serverStatus.models || [];
+    this.renderModelOptions(this.modelSelect, models, this.modelSelect.value);
+    this.renderModelOptions(this.embeddingModelSelect, models, this.embeddingModelSelect.value);
+    this.renderStatus();
+    
+    debugLogger.log('Ollama server status', this.serverStatus);
+    return this.serverStatus;
+  }
+
+  /**
+   * Fill a model dropdown, keeping the selected model even if it is not installed
+   * Models are only marked as not installed once the server has answered a check
+   * @param {HTMLSelectElement} select - Dropdown to fill
+   * @param {Array<string>} models - Installed model names
+   * @param {string} selectedModel - Model to keep selected
+   */
+  renderModelOptions(select, models, selectedModel) {
+    select.innerHTML = '';
+    
+    const names = [...models];
+    if (selectedModel && !models.some(name => OllamaModel.matchesModel(name, selectedModel))) {
+      names.unshift(selectedModel);
+    }
+    
+    const checked = this.serverStatus !== null && this.serverStatus.reachable;
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = !checked || models.includes(name) ? name : `${name} (not installed)`;
+      select.appendChild(option);
+    });
+    
+    const selected = models.find(name => OllamaModel.matchesModel(name, selectedModel)) || selectedModel;
+    if (selected) {
+      select.value = selected;
+    }
+  }
+
+  /**
+   * Show reachability and model status below the inputs
+   */
+  renderStatus() {
+    const status = this.serverStatus;
+    if (!status) return;
+    
+    if (!status.reachable) {
+      this.setStatus(`Ollama is not reachable at ${this.getUrl()}`, 'error');
+    } else if (!status.models.some(name => OllamaModel.matchesModel(name, this.modelSelect.value))) {
+      this.setStatus(`Ollama ${status.version} is running, but "${this.modelSelect.value}" is not installed`, 'error');
+    } else {
+      this.setStatus(`Ollama ${status.version} is running with ${status.models.length} models`, 'success');
+    }
+  }
+
+  /**
+   * Update the inline status text
+   * @param {string} message - Status text
+   * @param {string} type - Status type (loading, success, error)
+   */
+  setStatus(message, type) {
+    if (!this.statusElement) return;
+    this.statusElement.classList.remove('loading', 'success', 'error');
+    this.statusElement.classList.add(type);
+    this.statusElement.textContent = message;
+  }
+}
@@ -0,0 +1,354 @@
+/**
+ * Plan Editor for Tab Genius extension
+ * Shows the groups a preview run proposes and lets the user rename groups,
+ * drag tabs between groups, merge groups and leave tabs out before applying
+ */
+import debugLogger from './debugLogger.js';
+
+// Type of the drag data, so drops from outside the editor are ignored
+const DRAG_TYPE = 'application/x-tab-genius-plan';
+
+export class PlanEditor {
+  constructor() {
+    this.plan = null;
+    // Job whose plan is being edited
+    this.jobId = null;
+    // Group each left-out tab came from, so including it again puts it back
+    this.excludedFrom = {};
+    this.container = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Initialize the plan editor
+   * @param {Function} [onChange] - Called with the job ID and the edited plan after each edit
+   */
+  init(onChange = null) {
+    this.container = document.getElementById('planGroups');
+    this.onChange = onChange;
+  }
+
+  /**
+   * Show a plan for editing
+   * Showing the plan that is already open keeps the user's edits. Edits are also
+   * sent to the job, so a popup opened later shows the edited plan.
+   * @param {string} jobId - ID of the preview job
+   * @param {Object} plan - Plan from the preview job
+   */
+  show(jobId, plan) {
+    if (this.jobId === jobId) return;
+    
+    const { excludedFrom = {}, ...editablePlan } = structuredClone(plan);
+    this.jobId = jobId;
+    this.plan = editablePlan;
+    this.excludedFrom = excludedFrom;
+    this.render();
+    
+    document.getElementById('planSection').classList.remove('hidden');
+    debugLogger.log('Showing organize plan', { jobId, groupCount: plan.groups.length });
+  }
+
+  /**
+   * Hide the editor and forget the plan
+   */
+  hide() {
+    this.jobId = null;
+    this.plan = null;
+    document.getElementById('planSection').classList.add('hidden');
+  }
+
+  /**
+   * Get the edited plan
+   * @returns {Object} - Plan without empty groups
+   * @throws {Error} - If a group has no name or no tab is left in a group
+   */
+  getPlan() {
+    const groups = this.plan.groups.filter(group => group.tabIds.length > 0);
+    
+    if (groups.some(group => !group.title.trim())) {
+      throw new Error('Every group needs a name');
+    }
+    if (groups.length === 0) {
+      throw new Error('All tabs are left out, so there is nothing to apply');
+    }
+    
+    return { ...this.plan, groups };
+  }
+
+  /**
+   * Find the group a tab is planned for
+   * @param {number} tabId - Tab ID
+   * @returns {Object|undefined} - Group
+   */
+  findGroup(tabId) {
+    return this.plan.groups.find(group => group.tabIds.includes(tabId));
+  }
+
+  /**
+   * Rename a group; a name another group already has merges the two
+   * @param {number} index - Position of the group
+   * @param {string} title - New name
+   */
+  renameGroup(index, title) {
+    const group = this.plan.groups[index];
+    const name = title.trim();
+    const target = this.plan.groups.findIndex((other, otherIndex) =>
+      otherIndex !== index && other.title.trim().toLowerCase() === name.toLowerCase()
+    );
+    
+    if (name && target !== -1) {
+      this.mergeGroups(index, target);
+      return;
+    }
+    
+    group.title = name;
+    this.update();
+  }
+
+  /**
+   * Move a tab into another group, including it again if it was left out
+   * @param {number} tabId - Tab ID
+   * @param {number} index - Position of the target group
+   */
+  moveTab(tabId, index) {
+    const target = this.plan.groups[index];
+    const source = this.findGroup(tabId);
+    if (source === target) return;
+    
+    if (source) {
+      source.tabIds = source.tabIds.filter(id => id !== tabId);
+    } else {
+      this.plan.excludedTabIds = this.plan.excludedTabIds.filter(id => id !== tabId);
+    }
+    target.tabIds.push(tabId);
+    
+    this.removeEmptyGroups();
+    this.update();
+  }
+
+  /**
+   * Leave a tab out of the plan
+   * @param {number} tabId - Tab ID
+   */
+  excludeTab(tabId) {
+    const source = this.findGroup(tabId);
+    if (!source) return;
+    
+    source.tabIds = source.tabIds.filter(id => id !== tabId);
+    this.plan.excludedTabIds.push(tabId);
+    this.excludedFrom[tabId] = source.title;
+    
+    this.removeEmptyGroups();
+    this.update();
+  }
+
+  /**
+   * Put a left-out tab back into the group it came from
+   * The group is created again if it was emptied in the meantime
+   * @param {number} tabId - Tab ID
+   */
+  includeTab(tabId) {
+    const title = this.excludedFrom[tabId] || 'Misc';
+    let index = this.plan.groups.findIndex(group => group.title === title);
+    
+    if (index === -1) {
+      this.plan.groups.push({ title, tabIds: [] });
+      index = this.plan.groups.length - 1;
+    }
+    
+    delete this.excludedFrom[tabId];
+    this.moveTab(tabId, index);
+  }
+
+  /**
+   * Merge one group into another; the target keeps its name
+   * @param {number} sourceIndex - Position of the group that is merged away
+   * @param {number} targetIndex - Position of the group that receives the tabs
+   */
+  mergeGroups(sourceIndex, targetIndex) {
+    if (sourceIndex === targetIndex) return;
+    
+    const source = this.plan.groups[sourceIndex];
+    const target = this.plan.groups[targetIndex];
+    target.tabIds.push(...source.tabIds);
+    this.plan.groups.splice(sourceIndex, 1);
+    
+    debugLogger.log(`Merged planned group ${source.title} into ${target.title}`);
+    this.update();
+  }
+
+  /**
+   * Show an edit and hand the edited plan to the job
+   */
+  update() {
+    this.render();
+    
+    if (this.onChange) {
+      this.onChange(this.jobId, { ...this.plan, excludedFrom: { ...this.excludedFrom } });
+    }
+  }
+
+  /**
+   * Drop groups whose tabs were all moved away or left out
+   */
+  removeEmptyGroups() {
+    this.plan.groups = this.plan.groups.filter(group => group.tabIds.length > 0);
+  }
+
+  /**
+   * Render the planned groups and the tabs left out
+   */
+  render() {
+    if (!this.container || !this.plan) return;
+    
+    const blocks = this.plan.groups.map((group, index) => this.createGroupBlock(group, index));
+    
+    if (this.plan.excludedTabIds.length > 0) {
+      const block = document.createElement('div');
+      block.className = 'plan-group excluded';
+      
+      const header = document.createElement('div');
+      header.className = 'plan-group-header';
+      header.textContent = 'Left where they are';
+      
+      const list = document.createElement('ul');
+      list.className = 'plan-tab-list';
+      list.append(...this.plan.excludedTabIds.map(tabId =>
+        this.createTabItem(tabId, 'add', 'Put tab back into its group', () => this.includeTab(tabId))
+      ));
+      
+      block.append(header, list);
+      this.addDropTarget(block, data => {
+        if (data.tabId !== undefined) this.excludeTab(data.tabId);
+      });
+      blocks.push(block);
+    }
+    
+    this.container.replaceChildren(...blocks);
+  }
+
+  /**
+   * Create the block for one planned group
+   * @param {Object} group - Group ({title, tabIds})
+   * @param {number} index - Position of the group
+   * @returns {HTMLElement}
+   */
+  createGroupBlock(group, index) {
+    const block = document.createElement('div');
+    block.className = 'plan-group';
+    
+    // Dragging the header onto another group merges the two
+    const header = document.createElement('div');
+    header.className = 'plan-group-header';
+    header.draggable = true;
+    header.title = 'Drag onto another group to merge';
+    header.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ groupIndex: index }));
+    });
+    
+    const handle = document.createElement('i');
+    handle.className = 'material-icons-round';
+    handle.setAttribute('aria-hidden', 'true');
+    handle.textContent = 'drag_indicator';
+    
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.className = 'plan-group-title';
+    titleInput.value = group.title;
+    titleInput.setAttribute('aria-label', `Name of group ${group.title}`);
+    titleInput.addEventListener('change', () => this.renameGroup(index, titleInput.value));
+    
+    const count = document.createElement('span');
+    count.className = 'plan-group-count';
+    count.textContent = group.tabIds.length;
+    
+    header.append(handle, titleInput, count);
+    
+    const list = document.createElement('ul');
+    list.className = 'plan-tab-list';
+    list.append(...group.tabIds.map(tabId =>
+      this.createTabItem(tabId, 'close', 'Leave tab where it is', () => this.excludeTab(tabId))
+    ));
+    
+    block.append(header, list);
+    this.addDropTarget(block, data => {
+      if (data.tabId !== undefined) {
+        this.moveTab(data.tabId, index);
+      } else if (data.groupIndex !== undefined) {
+        this.mergeGroups(data.groupIndex, index);
+      }
+    });
+    
+    return block;
+  }
+
+  /**
+   * Create the row for one planned tab
+   * @param {number} tabId - Tab ID
+   * @param {string} icon - Material icon name of the row button
+   * @param {string} label - Accessible label of the row button
+   * @param {Function} onClick - Click handler of the row button
+   * @returns {HTMLLIElement}
+   */
+  createTabItem(tabId, icon, label, onClick) {
+    const tab = this.plan.tabs[tabId] || {};
+    
+    const item = document.createElement('li');
+    item.className = 'plan-tab';
+    item.draggable = true;
+    item.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ tabId }));
+    });
+    
+    const title = document.createElement('span');
+    title.className = 'progress-title';
+    title.textContent = tab.title || tab.url || `Tab ${tabId}`;
+    title.title = tab.url || '';
+    
+    const button = document.createElement('button');
+    button.className = 'rule-button';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    
+    const iconElement = document.createElement('i');
+    iconElement.className = 'material-icons-round';
+    iconElement.setAttribute('aria-hidden', 'true');
+    iconElement.textContent = icon;
+    button.appendChild(iconElement);
+    button.addEventListener('click', onClick);
+    
+    item.append(title, button);
+    return item;
+  }
+
+  /**
+   * Accept tabs and groups dragged onto an element
+   * @param {HTMLElement} element - Drop target
+   * @param {Function} onDrop - Called with the dragged item ({tabId} or {groupIndex})
+   */
+  addDropTarget(element, onDrop) {
+    element.addEventListener('dragover', (e) => {
+      if (e.dataTransfer.types.includes(DRAG_TYPE)) {
+        e.preventDefault();
+        element.classList.add('drop-target');
+      }
+    });
+    
+    element.addEventListener('dragleave', (e) => {
+      if (!element.contains(e.relatedTarget)) {
+        element.classList.remove('drop-target');
+      }
+    });
+    
+    element.addEventListener('drop', (e) => {
+      e.preventDefault();
+      element.classList.remove('drop-target');
+      
+      try {
+        onDrop(JSON.parse(e.dataTransfer.getData(DRAG_TYPE)));
+      } catch (error) {
+        debugLogger.warn('Ignoring invalid plan drop:', error);
+      }
+    });
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Rule Engine for Tab Genius extension
+ * Evaluates user-defined categorization rules before tabs are sent to the AI
+ */
+import debugLogger from './debugLogger.js';
+
+// Supported rule types and what their pattern is matched against
+export const RULE_TYPES = {
+  domain: 'Domain',
+  urlGlob: 'URL glob',
+  urlRegex: 'URL regex',
+  titleRegex: 'Title regex'
+};
+
+export class RuleEngine {
+  constructor() {
+    this.storageKey = 'tabGeniusRules';
+  }
+
+  /**
+   * Load rules from storage, in priority order
+   * @returns {Promise<Array<Object>>} - Rules ({id, type, pattern, category, enabled})
+   */
+  async loadRules() {
+    try {
+      const result = await chrome.storage.sync.get(this.storageKey);
+      return Array.isArray(result[this.storageKey]) ? result[this.storageKey] : [];
+    } catch (error) {
+      debugLogger.error('Error loading rules:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save rules to storage
+   * @param {Array<Object>} rules - Rules in priority order
+   * @returns {Promise<void>}
+   */
+  async saveRules(rules) {
+    await chrome.storage.sync.set({ [this.storageKey]: rules });
+  }
+
+  /**
+   * Check that a rule can be evaluated
+   * @param {Object} rule - Rule to check
+   * @throws {Error} - If the type is unknown, a field is missing or a regex does not compile
+   */
+  static validate(rule) {
+    if (!RULE_TYPES[rule.type]) {
+      throw new Error(`Unknown rule type: ${rule.type}`);
+    }
+    if (!rule.pattern || !rule.pattern.trim()) {
+      throw new Error('Enter a pattern for the rule');
+    }
+    if (!rule.category || !rule.category.trim()) {
+      throw new Error('Enter a category for the rule');
+    }
+    
+    try {
+      RuleEngine.compile(rule);
+    } catch (error) {
+      throw new Error(`Invalid pattern "${rule.pattern}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the matcher for a rule
+   * @param {Object} rule - Rule
+   * @returns {Function} - Takes a tab and returns whether the rule matches it
+   */
+  static compile(rule) {
+    const pattern = rule.pattern.trim();
+    
+    switch (rule.type) {
+      case 'domain': {
+        // "*.atlassian.net" and "atlassian.net" both match the domain and its subdomains.
+        // "www." is dropped like it is from the hostname, so "www.github.com" matches too
+        const domain = pattern.replace(/^\*\./, '').toLowerCase().replace(/^www\./, '');
+        return tab => {
+          const hostname = RuleEngine.getHostname(tab.url);
+          return hostname === domain || hostname.endsWith(`.${domain}`);
+        };
+      }
+      case 'urlGlob': {
+        const regex = RuleEngine.globToRegExp(pattern);
+        // Patterns without a scheme are matched against the URL without its scheme
+        const withScheme = pattern.includes('://');
+        return tab => regex.test(withScheme ? tab.url : (tab.url || '').replace(/^[a-z-]+:\/\//i, ''));
+      }
+      case 'urlRegex': {
+        const regex = new RegExp(pattern, 'i');
+        return tab => regex.test(tab.url || '');
+      }
+      case 'titleRegex': {
+        const regex = new RegExp(pattern, 'i');
+        return tab => regex.test(tab.title || '');
+      }
+      default:
+        throw new Error(`Unknown rule type: ${rule.type}`);
+    }
+  }
+
+  /**
+   * Convert a URL glob ("*" for any text, "?" for one character) to an anchored regex
+   * @param {string} glob - Glob pattern
+   * @returns {RegExp} - Case-insensitive regex
+   */
+  static globToRegExp(glob) {
+    const source = glob
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+      })
+      .join('');
+    
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Get the lowercase hostname of a URL without a leading "www."
+   * @param {string} url - URL
+   * @returns {string} - Hostname, or an empty string for invalid URLs
+   */
+  static getHostname(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Find the category for each tab that an enabled rule matches
+   * Rules are checked in order and the first match wins
+   * @param {Array} tabs - Tabs to categorize
+   * @param {Array<Object>} rules - Rules in priority order
+   * @returns {Object} - Map of tab IDs to {category, rule}
+   */
+  apply(tabs, rules) {
+    const matchers = [];
+    for (const rule of rules) {
+      if (!rule.enabled) continue;
+      
+      try {
+        matchers.push({ rule, matches: RuleEngine.compile(rule) });
+      } catch (error) {
+        debugLogger.warn(`Skipping invalid rule ${rule.id}:`, error);
+      }
+    }
+    
+    const results = {};
+    for (const tab of tabs) {
+      const match = matchers.find(matcher => matcher.matches(tab));
+      if (match) {
+        results[tab.id] = { category: match.rule.category, rule: match.rule };
+      }
+    }
+    
+    debugLogger.log('Rules applied', {
+      ruleCount: matchers.length,
+      tabCount: tabs.length,
+      matchedCount: Object.keys(results).length
+    });
+    
+    return results;
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * Rule Manager for Tab Genius extension
+ * Handles the categorization rules UI in the popup
+ */
+import debugLogger from './debugLogger.js';
+import analytics from './analytics.js';
+import { RuleEngine, RULE_TYPES } from './ruleEngine.js';
+
+// Example pattern shown in the pattern input for each rule type
+const RULE_PLACEHOLDERS = {
+  domain: '*.atlassian.net',
+  urlGlob: 'github.com/our-org/*',
+  urlRegex: '^https://docs\\.google\\.com/',
+  titleRegex: '\\bPR #\\d+'
+};
+
+export class RuleManager {
+  constructor() {
+    this.ruleEngine = new RuleEngine();
+    this.rules = [];
+    this.ruleListContainer = null;
+  }
+
+  /**
+   * Initialize the rule manager
+   */
+  async init() {
+    try {
+      this.ruleListContainer = document.getElementById('ruleList');
+      
+      this.rules = await this.ruleEngine.loadRules();
+      this.renderRules();
+      
+      this.setupEventListeners();
+      this.updatePlaceholder();
+      
+      debugLogger.log('Rule manager initialized with rules:', this.rules);
+    } catch (error) {
+      debugLogger.error('Error initializing rule manager:', error);
+      analytics.trackError('rule_manager_init', error.message);
+    }
+  }
+
+  /**
+   * Set up event listeners for rule management
+   */
+  setupEventListeners() {
+    document.getElementById('addRuleBtn').addEventListener('click', () => this.addRule());
+    
+    // Add the rule on Enter in either text input
+    ['rulePatternInput', 'ruleCategoryInput'].forEach(inputId => {
+      document.getElementById(inputId).addEventListener('keyup', (e) => {
+        if (e.key === 'Enter') {
+          this.addRule();
+        }
+      });
+    });
+    
+    document.getElementById('ruleTypeSelect').addEventListener('change', () => this.updatePlaceholder());
+    document.getElementById('testRulesBtn').addEventListener('click', () => this.previewRules());
+    
+    // Offer the current categories as suggestions when the category list changes
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.tabSorterCategories) {
+        this.renderCategoryOptions(changes.tabSorterCategories.newValue || []);
+      }
+    });
+    chrome.storage.sync.get('tabSorterCategories').then(result => {
+      this.renderCategoryOptions(result.tabSorterCategories || []);
+    });
+  }
+
+  /**
+   * Show an example pattern for the selected rule type
+   */
+  updatePlaceholder() {
+    const type = document.getElementById('ruleTypeSelect').value;
+    document.getElementById('rulePatternInput').placeholder = RULE_PLACEHOLDERS[type];
+  }
+
+  /**
+   * Fill the category suggestions for the rule form
+   * @param {Array<string>} categories - Current categories
+   */
+  renderCategoryOptions(categories) {
+    const datalist = document.getElementById('ruleCategoryOptions');
+    datalist.replaceChildren(...categories.map(category => {
+      const option = document.createElement('option');
+      option.value = category;
+      return option;
+    }));
+  }
+
+  /**
+   * Render rules in priority order
+   */
+  renderRules() {
+    if (!this.ruleListContainer) return;
+    
+    this.ruleListContainer.innerHTML = '';
+    
+    if (this.rules.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'rule-empty';
+      empty.textContent = 'No rules yet. Every tab is sent to the AI.';
+      this.ruleListContainer.appendChild(empty);
+      return;
+    }
+    
+    this.rules.forEach((rule, index) => {
+      const item = document.createElement('li');
+      item.className = rule.enabled ? 'rule-item' : 'rule-item disabled';
+      
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = rule.enabled;
+      toggle.setAttribute('aria-label', `Enable rule ${rule.pattern}`);
+      toggle.addEventListener('change', () => this.toggleRule(rule.id, toggle.checked));
+      
+      const description = document.createElement('span');
+      description.className = 'rule-description';
+      description.title = `${RULE_TYPES[rule.type]}: ${rule.pattern} → ${rule.category}`;
+      
+      const typeLabel = document.createElement('span');
+      typeLabel.className = 'rule-type';
+      typeLabel.textContent = RULE_TYPES[rule.type];
+      
+      const pattern = document.createElement('code');
+      pattern.textContent = rule.pattern;
+      
+      const category = document.createElement('strong');
+      category.textContent = rule.category;
+      
+      description.append(typeLabel, ' ', pattern, ' → ', category);
+      
+      item.append(
+        toggle,
+        description,
+        this.createRuleButton('arrow_upward', 'Move rule up', index === 0, () => this.moveRule(index, -1)),
+        this.createRuleButton('arrow_downward', 'Move rule down', index === this.rules.length - 1, () => this.moveRule(index, 1)),
+        this.createRuleButton('close', 'Delete rule', false, () => this.removeRule(rule.id))
+      );
+      
+      this.ruleListContainer.appendChild(item);
+    });
+  }
+
+  /**
+   * Create a small icon button for a rule row
+   * @param {string} icon - Material icon name
+   * @param {string} label - Accessible label
+   * @param {boolean} disabled - Whether the button is disabled
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   */
+  createRuleButton(icon, label, disabled, onClick) {
+    const button = document.createElement('button');
+    button.className = 'rule-button';
+    button.disabled = disabled;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    
+    const iconElement = document.createElement('i');
+    iconElement.className = 'material-icons-round';
+    iconElement.setAttribute('aria-hidden', 'true');
+    iconElement.textContent = icon;
+    button.appendChild(iconElement);
+    
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show or clear the rule form error
+   * @param {string} message - Error message, or an empty string to clear it
+   */
+  showError(message) {
+    const errorElement = document.getElementById('ruleError');
+    errorElement.textContent = message;
+    errorElement.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Save rules and re-render them
+   * @returns {Promise<void>}
+   */
+  async saveRules() {
+    await this.ruleEngine.saveRules(this.rules);
+    this.renderRules();
+  }
+
+  /**
+   * Add a rule from the form; new rules get the lowest priority
+   */
+  async addRule() {
+    try {
+      const patternInput = document.getElementById('rulePatternInput');
+      const categoryInput = document.getElementById('ruleCategoryInput');
+      
+      const rule = {
+        id: crypto.randomUUID(),
+        type: document.getElementById('ruleTypeSelect').value,
+        pattern: patternInput.value.trim(),
+        category: categoryInput.value.trim(),
+        enabled: true
+      };
+      
+      RuleEngine.validate(rule);
+      
+      this.rules = [...this.rules, rule];
+      await this.saveRules();
+      
+      analytics.trackEvent('rule_added', { type: rule.type });
+      
+      patternInput.value = '';
+      categoryInput.value = '';
+      this.showError('');
+    } catch (error) {
+      this.showError(error.message);
+      debugLogger.warn('Could not add rule:', error);
+    }
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} ruleId - ID of the rule
+   */
+  async removeRule(ruleId) {
+    try {
+      this.rules = this.rules.filter(rule => rule.id !== ruleId);
+      await this.saveRules();
+      
+      analytics.trackEvent('rule_removed');
+    } catch (error) {
+      debugLogger.error('Error removing rule:', error);
+      analytics.trackError('remove_rule', error.message);
+    }
+  }
+
+  /**
+   * Enable or disable a rule
+   * @param {string} ruleId - ID of the rule
+   * @param {boolean} enabled - Whether the rule is enabled
+   */
+  async toggleRule(ruleId, enabled) {
+    try {
+      this.rules = this.rules.map(rule => rule.id === ruleId ? { ...rule, enabled } : rule);
+      await this.saveRules();
+    } catch (error) {
+      debugLogger.error('Error toggling rule:', error);
+      analytics.trackError('toggle_rule', error.message);
+    }
+  }
+
+  /**
+   * Move a rule up or down in priority
+   * @param {number} index - Current position of the rule
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  async moveRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.rules.length) return;
+    
+    try {
+      const rules = [...this.rules];
+      [rules[index], rules[target]] = [rules[target], rules[index]];
+      this.rules = rules;
+      await this.saveRules();
+    } catch (error) {
+      debugLogger.error('Error reordering rules:', error);
+      analytics.trackError('reorder_rules', error.message);
+    }
+  }
+
+  /**
+   * Show which open tabs in this window the enabled rules would categorize
+   */
+  async previewRules() {
+    const previewList = document.getElementById('rulePreview');
+    
+    try {
+      const tabs = await chrome.tabs.query({ currentWindow: true });
+      const matches = this.ruleEngine.apply(tabs.filter(tab => !tab.pinned), this.rules);
+      
+      const items = tabs
+        .filter(tab => tab.id in matches)
+        .map(tab => {
+          const item = document.createElement('li');
+          
+          const title = document.createElement('span');
+          title.className = 'progress-title';
+          title.textContent = tab.title || tab.url;
+          title.title = tab.url;
+          
+          const category = document.createElement('span');
+          category.className = 'progress-result';
+          category.textContent = matches[tab.id].category;
+          
+          item.append(title, category);
+          return item;
+        });
+      
+      if (items.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'rule-empty';
+        empty.textContent = 'No open tabs match the enabled rules.';
+        items.push(empty);
+      }
+      
+      previewList.replaceChildren(...items);
+      previewList.classList.remove('hidden');
+    } catch (error) {
+      debugLogger.error('Error previewing rules:', error);
+      this.showError(`Could not test rules: ${error.message}`);
+    }
+  }
+}
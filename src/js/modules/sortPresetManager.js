@@ -0,0 +1,332 @@
+/**
+ * Sort Preset Manager for Tab Genius extension
+ * Handles the sort presets UI in the popup: building a list of sort keys,
+ * saving it under a name and picking a preset to sort with
+ */
+import debugLogger from './debugLogger.js';
+import analytics from './analytics.js';
+import { SortPresets } from './sortPresets.js';
+import { SORT_KEYS } from './tabSorter.js';
+
+// Arrows shown after each key for its direction
+const DIRECTION_ARROWS = { asc: '↑', desc: '↓' };
+
+export class SortPresetManager {
+  constructor() {
+    this.sortPresets = new SortPresets();
+    this.presets = [];
+    // Keys of the preset being built, in priority order
+    this.draftKeys = [];
+    this.presetListContainer = null;
+    this.keyListContainer = null;
+  }
+
+  /**
+   * Initialize the sort preset manager
+   */
+  async init() {
+    try {
+      this.presetListContainer = document.getElementById('sortPresetList');
+      this.keyListContainer = document.getElementById('sortKeyList');
+      
+      this.renderKeyOptions();
+      this.setupEventListeners();
+      
+      this.presets = await this.sortPresets.loadPresets();
+      this.renderPresets();
+      this.renderDraft();
+      
+      debugLogger.log('Sort preset manager initialized with presets:', this.presets);
+    } catch (error) {
+      debugLogger.error('Error initializing sort preset manager:', error);
+      analytics.trackError('sort_preset_manager_init', error.message);
+    }
+  }
+
+  /**
+   * Set up event listeners for preset management
+   */
+  setupEventListeners() {
+    document.getElementById('addSortKeyBtn').addEventListener('click', () => this.addKey());
+    document.getElementById('saveSortPresetBtn').addEventListener('click', () => this.savePreset());
+    
+    document.getElementById('sortPresetNameInput').addEventListener('keyup', (e) => {
+      if (e.key === 'Enter') {
+        this.savePreset();
+      }
+    });
+    
+    // Each key starts out in its natural direction, e.g. last used newest first
+    document.getElementById('sortKeySelect').addEventListener('change', (e) => {
+      document.getElementById('sortDirectionSelect').value = SORT_KEYS[e.target.value].direction;
+    });
+  }
+
+  /**
+   * Fill the key picker with the available sort keys
+   */
+  renderKeyOptions() {
+    const keySelect = document.getElementById('sortKeySelect');
+    keySelect.replaceChildren(...Object.entries(SORT_KEYS).map(([key, { label }]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = label;
+      return option;
+    }));
+    document.getElementById('sortDirectionSelect').value = SORT_KEYS[keySelect.value].direction;
+  }
+
+  /**
+   * Describe a list of keys, e.g. "Group ↑, Domain ↑, Title ↓"
+   * @param {Array<Object>} keys - Keys ({key, direction})
+   * @returns {string}
+   */
+  static describeKeys(keys) {
+    return keys.map(({ key, direction }) => `${SORT_KEYS[key]?.label || key} ${DIRECTION_ARROWS[direction] || ''}`.trim()).join(', ');
+  }
+
+  /**
+   * Render the saved presets, both in the list and in the Quick Sort picker
+   */
+  renderPresets() {
+    if (!this.presetListContainer) return;
+    
+    const presetSelect = document.getElementById('sortPresetSelect');
+    const selected = presetSelect.value;
+    
+    if (this.presets.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'rule-empty';
+      empty.textContent = 'No presets yet.';
+      this.presetListContainer.replaceChildren(empty);
+      
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'No sort presets';
+      presetSelect.replaceChildren(placeholder);
+      return;
+    }
+    
+    this.presetListContainer.replaceChildren(...this.presets.map(preset => {
+      const item = document.createElement('li');
+      item.className = 'rule-item';
+      
+      const description = document.createElement('span');
+      description.className = 'rule-description';
+      description.title = `${preset.name}: ${SortPresetManager.describeKeys(preset.keys)}`;
+      
+      const name = document.createElement('strong');
+      name.textContent = preset.name;
+      
+      const keys = document.createElement('span');
+      keys.className = 'rule-type';
+      keys.textContent = SortPresetManager.describeKeys(preset.keys);
+      
+      description.append(name, ' ', keys);
+      
+      item.append(
+        description,
+        this.createButton('edit', `Edit preset ${preset.name}`, false, () => this.editPreset(preset.name)),
+        this.createButton('close', `Delete preset ${preset.name}`, false, () => this.removePreset(preset.name))
+      );
+      return item;
+    }));
+    
+    presetSelect.replaceChildren(...this.presets.map(preset => {
+      const option = document.createElement('option');
+      option.value = preset.name;
+      option.textContent = preset.name;
+      return option;
+    }));
+    if (this.presets.some(preset => preset.name === selected)) {
+      presetSelect.value = selected;
+    }
+  }
+
+  /**
+   * Render the keys of the preset being built
+   */
+  renderDraft() {
+    if (!this.keyListContainer) return;
+    
+    if (this.draftKeys.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'rule-empty';
+      empty.textContent = 'Add the keys to sort by, most important first.';
+      this.keyListContainer.replaceChildren(empty);
+      return;
+    }
+    
+    this.keyListContainer.replaceChildren(...this.draftKeys.map((sortKey, index) => {
+      const item = document.createElement('li');
+      item.className = 'rule-item';
+      
+      const description = document.createElement('span');
+      description.className = 'rule-description';
+      description.textContent = `${index + 1}. ${SortPresetManager.describeKeys([sortKey])}`;
+      
+      item.append(
+        description,
+        this.createButton('arrow_upward', 'Move key up', index === 0, () => this.moveKey(index, -1)),
+        this.createButton('arrow_downward', 'Move key down', index === this.draftKeys.length - 1, () => this.moveKey(index, 1)),
+        this.createButton('close', 'Remove key', false, () => this.removeKey(index))
+      );
+      return item;
+    }));
+  }
+
+  /**
+   * Create a small icon button for a preset or key row
+   * @param {string} icon - Material icon name
+   * @param {string} label - Accessible label
+   * @param {boolean} disabled - Whether the button is disabled
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   */
+  createButton(icon, label, disabled, onClick) {
+    const button = document.createElement('button');
+    button.className = 'rule-button';
+    button.disabled = disabled;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    
+    const iconElement = document.createElement('i');
+    iconElement.className = 'material-icons-round';
+    iconElement.setAttribute('aria-hidden', 'true');
+    iconElement.textContent = icon;
+    button.appendChild(iconElement);
+    
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show or clear the preset form error
+   * @param {string} message - Error message, or an empty string to clear it
+   */
+  showError(message) {
+    const errorElement = document.getElementById('sortPresetError');
+    errorElement.textContent = message;
+    errorElement.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Add the picked key to the preset being built
+   */
+  addKey() {
+    const key = document.getElementById('sortKeySelect').value;
+    const direction = document.getElementById('sortDirectionSelect').value;
+    
+    if (this.draftKeys.some(sortKey => sortKey.key === key)) {
+      this.showError(`${SORT_KEYS[key].label} is already in the preset`);
+      return;
+    }
+    
+    this.draftKeys = [...this.draftKeys, { key, direction }];
+    this.showError('');
+    this.renderDraft();
+  }
+
+  /**
+   * Remove a key from the preset being built
+   * @param {number} index - Position of the key
+   */
+  removeKey(index) {
+    this.draftKeys = this.draftKeys.filter((sortKey, position) => position !== index);
+    this.renderDraft();
+  }
+
+  /**
+   * Move a key up or down in the preset being built
+   * @param {number} index - Current position of the key
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  moveKey(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.draftKeys.length) return;
+    
+    const keys = [...this.draftKeys];
+    [keys[index], keys[target]] = [keys[target], keys[index]];
+    this.draftKeys = keys;
+    this.renderDraft();
+  }
+
+  /**
+   * Load a saved preset into the form to change it
+   * @param {string} name - Name of the preset
+   */
+  editPreset(name) {
+    const preset = this.presets.find(candidate => candidate.name === name);
+    if (!preset) return;
+    
+    this.draftKeys = preset.keys.map(sortKey => ({ ...sortKey }));
+    document.getElementById('sortPresetNameInput').value = preset.name;
+    this.showError('');
+    this.renderDraft();
+  }
+
+  /**
+   * Save the preset being built; a preset with the same name is replaced
+   */
+  async savePreset() {
+    try {
+      const nameInput = document.getElementById('sortPresetNameInput');
+      const preset = { name: nameInput.value.trim(), keys: this.draftKeys };
+      
+      SortPresets.validate(preset);
+      
+      const existing = this.presets.findIndex(candidate => candidate.name === preset.name);
+      this.presets = existing === -1
+        ? [...this.presets, preset]
+        : this.presets.map((candidate, index) => index === existing ? preset : candidate);
+      await this.sortPresets.savePresets(this.presets);
+      
+      this.renderPresets();
+      document.getElementById('sortPresetSelect').value = preset.name;
+      
+      analytics.trackEvent(existing === -1 ? 'sort_preset_added' : 'sort_preset_updated', {
+        key_count: preset.keys.length
+      });
+      
+      this.draftKeys = [];
+      nameInput.value = '';
+      this.showError('');
+      this.renderDraft();
+    } catch (error) {
+      this.showError(error.message);
+      debugLogger.warn('Could not save sort preset:', error);
+    }
+  }
+
+  /**
+   * Delete a preset
+   * @param {string} name - Name of the preset
+   */
+  async removePreset(name) {
+    try {
+      this.presets = this.presets.filter(preset => preset.name !== name);
+      await this.sortPresets.savePresets(this.presets);
+      this.renderPresets();
+      
+      analytics.trackEvent('sort_preset_removed');
+    } catch (error) {
+      debugLogger.error('Error removing sort preset:', error);
+      analytics.trackError('remove_sort_preset', error.message);
+    }
+  }
+
+  /**
+   * Get the keys of the preset picked in Quick Sort
+   * @returns {Array<Object>} - Keys ({key, direction})
+   * @throws {Error} - If no preset is saved yet
+   */
+  getSelectedKeys() {
+    const name = document.getElementById('sortPresetSelect').value;
+    const preset = this.presets.find(candidate => candidate.name === name);
+    
+    if (!preset) {
+      throw new Error('Save a sort preset under Sort Presets first');
+    }
+    return preset.keys;
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Sort Presets for Tab Genius extension
+ * Named lists of sort keys, kept in sync storage so they follow the user
+ */
+import debugLogger from './debugLogger.js';
+import { TabSorter } from './tabSorter.js';
+
+export class SortPresets {
+  constructor() {
+    this.storageKey = 'tabGeniusSortPresets';
+  }
+
+  /**
+   * Load presets from storage
+   * @returns {Promise<Array<Object>>} - Presets ({name, keys: [{key, direction}]})
+   */
+  async loadPresets() {
+    try {
+      const result = await chrome.storage.sync.get(this.storageKey);
+      return Array.isArray(result[this.storageKey]) ? result[this.storageKey] : [];
+    } catch (error) {
+      debugLogger.error('Error loading sort presets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save presets to storage
+   * @param {Array<Object>} presets - Presets
+   * @returns {Promise<void>}
+   */
+  async savePresets(presets) {
+    await chrome.storage.sync.set({ [this.storageKey]: presets });
+  }
+
+  /**
+   * Check that a preset can be used to sort
+   * @param {Object} preset - Preset to check
+   * @throws {Error} - If the name is missing, or a key is unknown or used twice
+   */
+  static validate(preset) {
+    if (!preset.name || !preset.name.trim()) {
+      throw new Error('Enter a name for the preset');
+    }
+    
+    const keys = TabSorter.normalizeSortKeys(preset.keys);
+    const names = keys.map(sortKey => sortKey.key);
+    if (new Set(names).size !== names.length) {
+      throw new Error('Each sort key can only be used once');
+    }
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Stale Tab Finder for Tab Genius extension
+ * Finds tabs that have not been looked at for a while and groups, discards
+ * or archives them
+ */
+import debugLogger from './debugLogger.js';
+import { TabSorter } from './tabSorter.js';
+import { TabOrganizer } from './tabOrganizer.js';
+import { TabArchive } from './tabArchive.js';
+
+// Default number of idle days after which a tab counts as stale
+export const DEFAULT_STALE_TAB_DAYS = 7;
+
+// Title of the group stale tabs are collected in
+export const STALE_GROUP_TITLE = 'Stale';
+
+export class StaleTabFinder {
+  /**
+   * @param {TabStateManager} tabStateManager - Decides which tabs are searched and saves them for undo
+   * @param {Function} [sendMessage] - Delivers messages to the background handlers
+   */
+  constructor(tabStateManager, sendMessage = message => chrome.runtime.sendMessage(message)) {
+    this.tabStateManager = tabStateManager;
+    this.sendMessage = sendMessage;
+    this.tabSorter = new TabSorter(tabStateManager, sendMessage);
+    this.tabArchive = new TabArchive();
+  }
+
+  /**
+   * Load the idle threshold from storage
+   * @returns {Promise<number>} - Days
+   */
+  static async loadThreshold() {
+    const settings = await chrome.storage.sync.get('staleTabDays');
+    return settings.staleTabDays || DEFAULT_STALE_TAB_DAYS;
+  }
+
+  /**
+   * Find tabs in scope that have been idle longer than the threshold
+   * Active tabs are never stale
+   * @param {number} days - Idle threshold in days
+   * @returns {Promise<Array>} - Stale tabs, longest idle first
+   */
+  async findStaleTabs(days) {
+    const tabs = await this.tabSorter.getAllTabs();
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    
+    const staleTabs = tabs
+      .filter(tab => !tab.active && tab.lastAccessed && tab.lastAccessed < cutoff)
+      .sort((a, b) => a.lastAccessed - b.lastAccessed);
+    
+    debugLogger.log('Stale tabs found', { days, tabCount: tabs.length, staleCount: staleTabs.length });
+    return staleTabs;
+  }
+
+  /**
+   * Get the tabs that are still open and may be acted on
+   * @param {Array<number>} tabIds - Tab IDs chosen in the popup
+   * @returns {Promise<Array>} - Open, unpinned, inactive tabs
+   * @throws {Error} - If none of the tabs are left
+   */
+  async getOpenTabs(tabIds) {
+    const tabs = (await chrome.tabs.query({}))
+      .filter(tab => tabIds.includes(tab.id) && !tab.pinned && !tab.active);
+    
+    if (tabs.length === 0) {
+      throw new Error('None of the stale tabs are open anymore');
+    }
+    return tabs;
+  }
+
+  /**
+   * Move stale tabs into a "Stale" group in each of their windows
+   * Call tabStateManager.saveCurrentState() first
+   * @param {Array<number>} tabIds - Tab IDs
+   * @returns {Promise<void>}
+   */
+  async groupStaleTabs(tabIds) {
+    const tabs = await this.getOpenTabs(tabIds);
+    const tabOrganizer = new TabOrganizer(this.tabStateManager, this.sendMessage);
+    
+    const tabsByWindow = new Map();
+    for (const tab of tabs) {
+      if (!tabsByWindow.has(tab.windowId)) {
+        tabsByWindow.set(tab.windowId, {});
+      }
+      tabsByWindow.get(tab.windowId)[tab.id] = STALE_GROUP_TITLE;
+    }
+    
+    for (const [windowId, tabCategories] of tabsByWindow) {
+      await tabOrganizer.groupTabsByCategory(tabCategories, windowId);
+    }
+  }
+
+  /**
+   * Unload stale tabs from memory; they stay in the tab strip and reload when selected
+   * @param {Array<number>} tabIds - Tab IDs
+   * @returns {Promise<number>} - Number of tabs discarded
+   */
+  async discardStaleTabs(tabIds) {
+    const tabs = await this.getOpenTabs(tabIds);
+    let discarded = 0;
+    
+    for (const tab of tabs.filter(candidate => !candidate.discarded)) {
+      try {
+        await chrome.tabs.discard(tab.id);
+        discarded++;
+      } catch (error) {
+        debugLogger.warn(`Could not discard tab ${tab.id}:`, error);
+      }
+    }
+    
+    debugLogger.log('Discarded stale tabs', { count: discarded });
+    return discarded;
+  }
+
+  /**
+   * Close stale tabs and keep their URL, title and category in the archive
+   * The category is the tab's group, or the local classifier's guess for ungrouped tabs
+   * @param {Array<number>} tabIds - Tab IDs
+   * @param {Array<string>} [archivedEntryIds] - Entries an interrupted run of the same job already added
+   * @param {Function} [onArchived] - Called with the new entries before any tab is closed
+   * @returns {Promise<number>} - Number of tabs archived
+   */
+  async archiveStaleTabs(tabIds, archivedEntryIds = [], onArchived = null) {
+    const tabs = await this.getOpenTabs(tabIds);
+    
+    // Tabs the interrupted run archived but did not close are only closed now
+    const archive = archivedEntryIds.length > 0 ? await this.tabArchive.load() : [];
+    const archivedUrls = new Set(archive.filter(entry => archivedEntryIds.includes(entry.id)).map(entry => entry.url));
+    const tabsToArchive = tabs.filter(tab => !archivedUrls.has(tab.url));
+    
+    const categories = await this.tabSorter.getCategories(tabsToArchive, [STALE_GROUP_TITLE]);
+    const entries = tabsToArchive.map(tab => ({ url: tab.url, title: tab.title, category: categories.get(tab.id) }));
+    
+    // Archive first, so a failure to close never loses a tab
+    const added = await this.tabArchive.add(entries);
+    if (onArchived) {
+      await onArchived(added);
+    }
+    await chrome.tabs.remove(tabs.map(tab => tab.id));
+    
+    return tabs.length;
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Stale Tab Manager for Tab Genius extension
+ * Handles the stale tabs preview in the popup: tabs idle longer than the
+ * threshold are listed with how long they have been idle, all ticked
+ */
+import debugLogger from './debugLogger.js';
+
+export class StaleTabManager {
+  constructor() {
+    // Scope the tabs were searched in, so grouping them saves the same tabs for undo
+    this.scope = null;
+    this.listContainer = null;
+  }
+
+  /**
+   * Initialize the stale tab manager
+   */
+  init() {
+    this.listContainer = document.getElementById('staleTabList');
+  }
+
+  /**
+   * Show stale tabs for review
+   * @param {Array} tabs - Tabs from StaleTabFinder.findStaleTabs
+   * @param {string} scope - Scope the tabs were searched in
+   */
+  show(tabs, scope) {
+    this.scope = scope;
+    this.listContainer.replaceChildren(...tabs.map(tab => this.createTabItem(tab)));
+    
+    document.getElementById('staleTabsSection').classList.remove('hidden');
+  }
+
+  /**
+   * Hide the preview
+   */
+  hide() {
+    document.getElementById('staleTabsSection').classList.add('hidden');
+  }
+
+  /**
+   * Create the row for one stale tab
+   * @param {Object} tab - Tab
+   * @returns {HTMLLIElement}
+   */
+  createTabItem(tab) {
+    const item = document.createElement('li');
+    item.className = 'plan-tab';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.tabId = tab.id;
+    checkbox.setAttribute('aria-label', `Include ${tab.title || tab.url}`);
+    
+    const title = document.createElement('span');
+    title.className = 'progress-title';
+    title.textContent = tab.title || tab.url;
+    title.title = tab.url;
+    
+    const idle = document.createElement('span');
+    idle.className = 'duplicate-state';
+    idle.textContent = StaleTabManager.formatIdleTime(tab.lastAccessed);
+    
+    item.append(checkbox, title, idle);
+    return item;
+  }
+
+  /**
+   * Describe how long ago a tab was last used
+   * @param {number} lastAccessed - Time the tab was last used, in milliseconds
+   * @returns {string} - E.g. "12 days"
+   */
+  static formatIdleTime(lastAccessed) {
+    const days = Math.floor((Date.now() - lastAccessed) / (24 * 60 * 60 * 1000));
+    return days === 1 ? '1 day' : `${days} days`;
+  }
+
+  /**
+   * Get the ticked tabs
+   * @returns {Array<number>} - Tab IDs
+   * @throws {Error} - If nothing is ticked
+   */
+  getSelectedTabIds() {
+    const tabIds = [...this.listContainer.querySelectorAll('input[type="checkbox"]:checked')]
+      .map(checkbox => Number(checkbox.dataset.tabId));
+    
+    if (tabIds.length === 0) {
+      throw new Error('No stale tabs selected');
+    }
+    
+    debugLogger.log('Stale tabs selected', { count: tabIds.length });
+    return tabIds;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Tab Archive for Tab Genius extension
+ * Keeps the URL, title and category of archived tabs in local storage so they
+ * can be closed to save memory and reopened later
+ */
+import debugLogger from './debugLogger.js';
+
+export class TabArchive {
+  /**
+   * @param {number} [maxEntries] - Oldest entries are dropped beyond this
+   */
+  constructor(maxEntries = 1000) {
+    this.storageKey = 'tabGeniusArchive';
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Load archived tabs, most recently archived first
+   * @returns {Promise<Array>} - Entries ({id, url, title, category, archivedAt})
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return result[this.storageKey] || [];
+    } catch (error) {
+      debugLogger.error('Error loading tab archive:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add tabs to the archive
+   * @param {Array} tabs - Tabs to archive ({url, title, category})
+   * @returns {Promise<Array>} - The new entries ({id, url, title, category, archivedAt})
+   */
+  async add(tabs) {
+    const archivedAt = Date.now();
+    const entries = tabs.map(tab => ({
+      id: crypto.randomUUID(),
+      url: tab.url,
+      title: tab.title || tab.url,
+      category: tab.category || 'Misc',
+      archivedAt
+    }));
+    
+    const archive = await this.load();
+    await chrome.storage.local.set({
+      [this.storageKey]: [...entries, ...archive].slice(0, this.maxEntries)
+    });
+    
+    debugLogger.log('Tabs archived', { count: entries.length });
+    return entries;
+  }
+
+  /**
+   * Remove entries from the archive
+   * @param {Array<string>} entryIds - IDs of the entries
+   * @returns {Promise<void>}
+   */
+  async remove(entryIds) {
+    const archive = await this.load();
+    await chrome.storage.local.set({
+      [this.storageKey]: archive.filter(entry => !entryIds.includes(entry.id))
+    });
+  }
+
+  /**
+   * Open an archived tab again and take it out of the archive
+   * @param {string} entryId - ID of the entry
+   * @returns {Promise<void>}
+   */
+  async reopen(entryId) {
+    const archive = await this.load();
+    const entry = archive.find(candidate => candidate.id === entryId);
+    if (!entry) return;
+    
+    await chrome.tabs.create({ url: entry.url, active: false });
+    await this.remove([entryId]);
+  }
+
+  /**
+   * Filter entries by category, title or URL
+   * Entries whose category matches are listed before the other matches
+   * @param {Array} entries - Archive entries
+   * @param {string} query - Search text
+   * @returns {Array} - Matching entries
+   */
+  static search(entries, query) {
+    const text = query.trim().toLowerCase();
+    if (!text) return entries;
+    
+    const byCategory = entries.filter(entry => entry.category.toLowerCase().includes(text));
+    const byPage = entries.filter(entry => !byCategory.includes(entry) &&
+      (entry.title.toLowerCase().includes(text) || entry.url.toLowerCase().includes(text))
+    );
+    
+    return [...byCategory, ...byPage];
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Tab Clusterer for Tab Genius extension
+ * Groups tabs by the similarity of their content embeddings without a predefined category list
+ */
+import debugLogger from './debugLogger.js';
+
+export class TabClusterer {
+  /**
+   * @param {number} [similarityThreshold] - Minimum average cosine similarity for two clusters to merge
+   */
+  constructor(similarityThreshold = 0.7) {
+    this.similarityThreshold = similarityThreshold;
+  }
+
+  /**
+   * Cluster embedding vectors with average-linkage agglomerative clustering
+   * Merging stops once no two clusters are similar enough, so the number of
+   * clusters is chosen automatically
+   * @param {Object} embeddings - Map of tab IDs to embedding vectors
+   * @returns {Array<Array<number>>} - Clusters of tab IDs, largest first
+   */
+  cluster(embeddings) {
+    const tabIds = Object.keys(embeddings).map(id => parseInt(id));
+    const vectors = tabIds.map(id => this.normalize(embeddings[id]));
+    
+    // Each tab starts in its own cluster
+    let clusters = tabIds.map(id => [id]);
+    const similarity = vectors.map(a => vectors.map(b => this.dot(a, b)));
+    
+    while (clusters.length > 1) {
+      // Find the most similar pair of clusters
+      let best = { i: -1, j: -1, value: -Infinity };
+      for (let i = 0; i < clusters.length; i++) {
+        for (let j = i + 1; j < clusters.length; j++) {
+          if (similarity[i][j] > best.value) {
+            best = { i, j, value: similarity[i][j] };
+          }
+        }
+      }
+      
+      if (best.value < this.similarityThreshold) {
+        break;
+      }
+      
+      // Merge j into i and update average-linkage similarities (Lance-Williams)
+      const sizeI = clusters[best.i].length;
+      const sizeJ = clusters[best.j].length;
+      for (let k = 0; k < clusters.length; k++) {
+        if (k === best.i || k === best.j) continue;
+        const merged = (sizeI * similarity[best.i][k] + sizeJ * similarity[best.j][k]) / (sizeI + sizeJ);
+        similarity[best.i][k] = merged;
+        similarity[k][best.i] = merged;
+      }
+      
+      clusters[best.i] = clusters[best.i].concat(clusters[best.j]);
+      clusters.splice(best.j, 1);
+      similarity.splice(best.j, 1);
+      similarity.forEach(row => row.splice(best.j, 1));
+    }
+    
+    clusters = clusters.sort((a, b) => b.length - a.length);
+    
+    debugLogger.log('Clustered tabs by similarity', {
+      tabCount: tabIds.length,
+      clusterCount: clusters.length,
+      clusterSizes: clusters.map(c => c.length)
+    });
+    
+    return clusters;
+  }
+
+  /**
+   * Scale a vector to unit length so the dot product equals cosine similarity
+   * @param {Array<number>} vector - Embedding vector
+   * @returns {Array<number>} - Unit vector
+   */
+  normalize(vector) {
+    const length = Math.sqrt(this.dot(vector, vector)) || 1;
+    return vector.map(value => value / length);
+  }
+
+  /**
+   * Dot product of two vectors
+   * @param {Array<number>} a - First vector
+   * @param {Array<number>} b - Second vector
+   * @returns {number}
+   */
+  dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += a[i] * b[i];
+    }
+    return sum;
+  }
+}
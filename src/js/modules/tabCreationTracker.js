@@ -0,0 +1,69 @@
+/**
+ * Tab Creation Tracker for Tab Genius extension
+ * Records when each tab was opened, since Chrome does not expose it, so tabs
+ * can be sorted in the order they were opened
+ */
+import debugLogger from './debugLogger.js';
+
+export class TabCreationTracker {
+  constructor() {
+    // Tab IDs only live for one browser session, and so does session storage.
+    // Each tab gets its own key so tabs opened at the same moment do not
+    // overwrite each other's entries.
+    this.keyPrefix = 'tabCreated:';
+  }
+
+  /**
+   * Record that a tab was opened now
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<void>}
+   */
+  async record(tabId) {
+    try {
+      await chrome.storage.session.set({ [`${this.keyPrefix}${tabId}`]: Date.now() });
+    } catch (error) {
+      debugLogger.warn(`Could not record creation of tab ${tabId}:`, error);
+    }
+  }
+
+  /**
+   * Forget a closed tab
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<void>}
+   */
+  async forget(tabId) {
+    try {
+      await chrome.storage.session.remove(`${this.keyPrefix}${tabId}`);
+    } catch (error) {
+      debugLogger.warn(`Could not forget creation of tab ${tabId}:`, error);
+    }
+  }
+
+  /**
+   * Get when a tab was opened
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<number|null>} - Creation time in milliseconds, or null if it was not recorded
+   */
+  async get(tabId) {
+    const key = `${this.keyPrefix}${tabId}`;
+    const items = await chrome.storage.session.get(key);
+    return items[key] ?? null;
+  }
+
+  /**
+   * Load the recorded creation times
+   * Tabs open before the extension started have no entry
+   * @returns {Promise<Map<number, number>>} - Creation time in milliseconds by tab ID
+   */
+  async load() {
+    const items = await chrome.storage.session.get(null);
+    const times = new Map();
+    
+    for (const [key, time] of Object.entries(items)) {
+      if (key.startsWith(this.keyPrefix)) {
+        times.set(Number(key.slice(this.keyPrefix.length)), time);
+      }
+    }
+    return times;
+  }
+}
@@ -3,34 +3,119 @@
  * Handles organizing tabs into groups based on content
  */
 import debugLogger from './debugLogger.js';
+import { ClassificationCache } from './classificationCache.js';
+import { TabClusterer } from './tabClusterer.js';
+import { OllamaModel } from './aiModels/ollamaModel.js';
+import { RuleEngine } from './ruleEngine.js';
+import { GroupingPolicy } from './groupingPolicy.js';
+import { GroupColors } from './groupColors.js';
+import { GroupLayout } from './groupLayout.js';
 
 export class TabOrganizer {
-  constructor(tabStateManager) {
+  /**
+   * @param {TabStateManager} tabStateManager - Saves the window's state for undo
+   * @param {Function} [sendMessage] - Delivers messages to the background handlers; the
+   *   service worker passes its own dispatcher because it cannot message itself
+   */
+  constructor(tabStateManager, sendMessage = message => chrome.runtime.sendMessage(message)) {
     this.tabStateManager = tabStateManager;
+    this.sendMessage = sendMessage;
+    // Organize the same window the state manager snapshots for undo
+    this.windowId = tabStateManager.windowId;
+    this.classificationCache = new ClassificationCache();
+    this.tabClusterer = new TabClusterer();
+    this.ruleEngine = new RuleEngine();
+    this.groupColors = new GroupColors();
+    // ID of the run whose progress is reported to the popup, if any
+    this.runId = null;
+    this.cancelRequested = false;
+  }
+
+  /**
+   * Request cancellation of the current run
+   * Analysis stops at the next tab, and groups already created are rolled back
+   */
+  cancel() {
+    this.cancelRequested = true;
+  }
+
+  /**
+   * Report a progress event for the current run to the popup
+   * @param {Object} event - Progress event ({type, tabId, title, category, ...})
+   * @returns {Promise<void>} - Resolves once the job has recorded the event
+   */
+  reportProgress(event) {
+    if (!this.runId) return Promise.resolve();
+    
+    return this.sendMessage({
+      action: 'reportProgress',
+      runId: this.runId,
+      event: event
+    }).catch(error => {
+      debugLogger.warn('Could not report progress:', error);
+    });
+  }
+
+  /**
+   * Report that a tab received its category
+   * @param {Object} tab - Tab object
+   * @param {string} category - Assigned category
+   * @param {Object} [details] - Extra event fields (fallback, cached, confidence, reason)
+   */
+  reportTabResult(tab, category, details = {}) {
+    this.reportProgress({
+      type: details.fallback ? 'fallbackUsed' : 'categoryAssigned',
+      tabId: tab.id,
+      title: tab.title,
+      category: category,
+      ...details
+    });
   }
 
   /**
    * Organize tabs by content using AI
    * @param {Object} modelConfig - Configuration for the AI model
-   * @returns {Promise<void>}
+   * @param {string} [runId] - ID of the job this run reports progress for
+   * @param {Object} [knownCategories] - Tab categories kept from an interrupted run of the same job
+   * @param {string} [layout] - groups (in each tab's window), windowPerCategory or singleWindow
+   * @returns {Promise<boolean>} - False if the run was cancelled
    */
-  async organizeByContent(modelConfig) {
+  async organizeByContent(modelConfig, runId = null, knownCategories = {}, layout = 'groups') {
+    const plan = await this.planByContent(modelConfig, runId, knownCategories, layout);
+    if (!plan) return false;
+    
+    // Save current state before organizing
+    await this.tabStateManager.saveCurrentState();
+    
+    return this.applyPlan(plan, runId);
+  }
+
+  /**
+   * Work out how organizing by content would group the tabs, without moving any
+   * @param {Object} modelConfig - Configuration for the AI model
+   * @param {string} [runId] - ID of the job this run reports progress for
+   * @param {Object} [knownCategories] - Tab categories kept from an interrupted run of the same job
+   * @param {string} [layout] - groups (in each tab's window), windowPerCategory or singleWindow
+   * @returns {Promise<Object|null>} - Plan ({scope, layout, groups, tabs, excludedTabIds}),
+   *   or null if the run was cancelled
+   */
+  async planByContent(modelConfig, runId = null, knownCategories = {}, layout = 'groups') {
+    this.runId = runId;
+    this.cancelRequested = false;
+    
     try {
       debugLogger.log('Starting tab organization', modelConfig);
       
-      // Save current state before organizing
-      await this.tabStateManager.saveCurrentState();
-      
-      // Get all tabs in current window
-      const tabs = await chrome.tabs.query({ currentWindow: true });
-      debugLogger.log('Found tabs', { count: tabs.length });
+      if (modelConfig.type === 'ollama') {
+        await this.verifyOllamaModels(modelConfig.url, [modelConfig.model]);
+      }
       
-      // Skip pinned tabs
-      const unpinnedTabs = tabs.filter(tab => !tab.pinned);
-      debugLogger.log('Unpinned tabs', { count: unpinnedTabs.length });
+      // Skip pinned tabs, and tabs that are already grouped unless regrouping is enabled
+      const unpinnedTabs = await this.getTabsToOrganize();
+      debugLogger.log('Tabs to organize', { count: unpinnedTabs.length });
       
       if (unpinnedTabs.length === 0) {
-        throw new Error('No unpinned tabs to organize');
+        throw new Error('No ungrouped tabs to organize');
       }
       
       // Check if notifications are enabled
@@ -40,37 +125,299 @@ export class TabOrganizer {
       
       // Show notification that analysis has started if enabled
       if (notificationPrefs.notificationsEnabled !== false) {
-        chrome.runtime.sendMessage({
+        this.sendMessage({
           action: 'showNotification',
           title: 'Tab Genius',
           message: `Analyzing ${unpinnedTabs.length} tabs...`
         });
       }
       
+      this.reportProgress({ type: 'started', total: unpinnedTabs.length });
+      
       // Analyze each tab and get categories
-      const tabCategories = await this.analyzeTabs(unpinnedTabs, modelConfig);
+      const analyzedCategories = await this.analyzeTabs(unpinnedTabs, modelConfig, knownCategories);
+      
+      // Nothing has been moved yet, so a cancelled run leaves the window untouched
+      if (this.cancelRequested) {
+        this.reportProgress({ type: 'cancelled' });
+        return null;
+      }
       
-      // Group tabs by category
-      await this.groupTabsByCategory(tabCategories);
+      // Merge categories that are too small and cap the number of groups
+      const { categories: tabCategories, merged } = await this.applyGroupingPolicy(analyzedCategories, unpinnedTabs, layout);
       
-      return true;
+      unpinnedTabs
+        .filter(tab => tab.id in merged)
+        .forEach(tab => this.reportProgress({
+          type: 'regrouped',
+          tabId: tab.id,
+          title: tab.title,
+          category: tabCategories[tab.id],
+          from: merged[tab.id]
+        }));
+      
+      return TabOrganizer.createPlan(tabCategories, unpinnedTabs, this.tabStateManager.scope, layout);
     } catch (error) {
       console.error('Error organizing tabs by content:', error);
       throw error;
     }
   }
 
+  /**
+   * Build an editable plan from tab categories
+   * @param {Object} tabCategories - Map of tab IDs to categories
+   * @param {Array} tabs - Tabs that were analyzed
+   * @param {string} scope - Scope the tabs were taken from
+   * @param {string} layout - Layout the plan is applied with
+   * @returns {Object} - Plan; groups are ordered by size, tabs keep their window order
+   */
+  static createPlan(tabCategories, tabs, scope, layout) {
+    const groups = new Map();
+    const tabInfo = {};
+    
+    for (const tab of tabs) {
+      tabInfo[tab.id] = { title: tab.title, url: tab.url, windowId: tab.windowId };
+      
+      const category = tabCategories[tab.id];
+      if (!category) continue;
+      if (!groups.has(category)) {
+        groups.set(category, []);
+      }
+      groups.get(category).push(tab.id);
+    }
+    
+    return {
+      scope: scope,
+      layout: layout,
+      groups: [...groups.entries()]
+        .map(([title, tabIds]) => ({ title, tabIds }))
+        .sort((a, b) => b.tabIds.length - a.tabIds.length),
+      tabs: tabInfo,
+      // Tabs left where they are when the plan is applied
+      excludedTabIds: tabs.filter(tab => !tabCategories[tab.id]).map(tab => tab.id)
+    };
+  }
+
+  /**
+   * Move tabs into groups exactly as a plan says
+   * Tabs that were closed since the plan was made are skipped. Call
+   * tabStateManager.saveCurrentState() first so the grouping can be undone.
+   * @param {Object} plan - Plan from planByContent, possibly edited by the user
+   * @param {string} [runId] - ID of the job this run reports progress for
+   * @returns {Promise<boolean>} - False if the run was cancelled
+   * @throws {Error} - If none of the planned tabs are left
+   */
+  async applyPlan(plan, runId = null) {
+    this.runId = runId;
+    
+    try {
+      const tabCategories = {};
+      for (const group of plan.groups) {
+        const title = group.title.trim();
+        if (!title) continue;
+        group.tabIds.forEach(tabId => {
+          tabCategories[tabId] = title;
+        });
+      }
+      
+      const tabs = (await chrome.tabs.query({}))
+        .filter(tab => tab.id in tabCategories && !tab.pinned);
+      
+      if (tabs.length === 0) {
+        throw new Error('None of the planned tabs are open anymore');
+      }
+      
+      debugLogger.log('Applying plan', {
+        groupCount: plan.groups.length,
+        tabCount: tabs.length,
+        layout: plan.layout
+      });
+      
+      const plannedCategories = {};
+      tabs.forEach(tab => {
+        plannedCategories[tab.id] = tabCategories[tab.id];
+      });
+      
+      // Group tabs by category once the job has checkpointed the grouping phase
+      await this.reportProgress({ type: 'grouping' });
+      const completed = await this.arrangeTabs(plannedCategories, tabs, plan.layout || 'groups');
+      if (completed) {
+        await this.layOutGroups(plannedCategories);
+      }
+      
+      this.reportProgress({ type: completed ? 'completed' : 'cancelled' });
+      return completed;
+    } catch (error) {
+      console.error('Error applying organize plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Organize tabs into groups discovered from the similarity of their content
+   * Uses Ollama embeddings, so no predefined category list is involved
+   * @param {Object} modelConfig - Configuration for the AI model (must be Ollama)
+   * @param {string} [runId] - ID of the job this run reports progress for
+   * @param {string} [layout] - groups (in each tab's window), windowPerCategory or singleWindow
+   * @returns {Promise<boolean>} - False if the run was cancelled
+   */
+  async organizeBySimilarity(modelConfig, runId = null, layout = 'groups') {
+    this.runId = runId;
+    this.cancelRequested = false;
+    
+    try {
+      debugLogger.log('Starting similarity organization', modelConfig);
+      
+      if (modelConfig.type !== 'ollama') {
+        throw new Error('Organize by similarity requires Ollama');
+      }
+      
+      const embeddingModel = modelConfig.embeddingModel || modelConfig.model;
+      await this.verifyOllamaModels(modelConfig.url, [modelConfig.model, embeddingModel]);
+      
+      // Save current state before organizing
+      await this.tabStateManager.saveCurrentState();
+      
+      const tabs = await this.getTabsToOrganize();
+      const candidateTabs = tabs.filter(tab => !this.isUnanalyzableTab(tab));
+      
+      if (candidateTabs.length < 2) {
+        throw new Error('Not enough tabs to organize by similarity');
+      }
+      
+      this.reportProgress({ type: 'started', total: candidateTabs.length });
+      candidateTabs.forEach(tab => this.reportProgress({ type: 'tabStarted', tabId: tab.id, title: tab.title }));
+      
+      const response = await this.sendMessage({
+        action: 'getEmbeddings',
+        runId: this.runId,
+        url: modelConfig.url,
+        model: embeddingModel,
+        tabIds: candidateTabs.map(tab => tab.id)
+      });
+      const embeddings = (response && response.embeddings) || {};
+      
+      if (this.cancelRequested) {
+        this.reportProgress({ type: 'cancelled' });
+        return false;
+      }
+      
+      if (Object.keys(embeddings).length < 2) {
+        throw new Error(`Could not get embeddings from Ollama model "${embeddingModel}"`);
+      }
+      
+      const clusters = this.tabClusterer.cluster(embeddings);
+      const tabsById = new Map(candidateTabs.map(tab => [tab.id, tab]));
+      const tabCategories = {};
+      
+      // Single-tab clusters stay ungrouped
+      for (const [index, tabIds] of clusters.filter(cluster => cluster.length > 1).entries()) {
+        let title = await this.nameCluster(modelConfig, tabIds.map(id => tabsById.get(id).title));
+        
+        // Keep group titles unique
+        if (Object.values(tabCategories).includes(title)) {
+          title = `${title} ${index + 1}`;
+        }
+        
+        tabIds.forEach(id => {
+          tabCategories[id] = title;
+          this.reportTabResult(tabsById.get(id), title);
+        });
+      }
+      
+      candidateTabs
+        .filter(tab => !(tab.id in tabCategories))
+        .forEach(tab => this.reportProgress({
+          type: embeddings[tab.id] ? 'categoryAssigned' : 'error',
+          tabId: tab.id,
+          title: tab.title,
+          category: null,
+          message: embeddings[tab.id] ? undefined : 'No embedding'
+        }));
+      
+      if (this.cancelRequested) {
+        this.reportProgress({ type: 'cancelled' });
+        return false;
+      }
+      
+      if (Object.keys(tabCategories).length === 0) {
+        throw new Error('No similar tabs found to group');
+      }
+      
+      await this.reportProgress({ type: 'grouping' });
+      const completed = await this.arrangeTabs(tabCategories, candidateTabs, layout);
+      if (completed) {
+        await this.layOutGroups(tabCategories);
+      }
+      
+      this.reportProgress({ type: completed ? 'completed' : 'cancelled' });
+      return completed;
+    } catch (error) {
+      console.error('Error organizing tabs by similarity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure the Ollama server is reachable and has the given models installed
+   * @param {string} url - URL for Ollama API
+   * @param {Array<string>} models - Model names that must be installed
+   * @returns {Promise<void>}
+   * @throws {Error} - If the server is down or a model is missing
+   */
+  async verifyOllamaModels(url, models) {
+    const status = await this.sendMessage({ action: 'checkOllamaServer', url });
+    
+    if (!status || !status.reachable) {
+      throw new Error(`Ollama server is not reachable at ${url}. Make sure "ollama serve" is running.`);
+    }
+    
+    for (const model of models) {
+      if (!status.models.some(name => OllamaModel.matchesModel(name, model))) {
+        throw new Error(`Ollama model "${model}" is not installed. Run "ollama pull ${model}" or pick an installed model.`);
+      }
+    }
+  }
+
+  /**
+   * Get a short title for a cluster of tabs
+   * @param {Object} modelConfig - Configuration for the AI model
+   * @param {Array<string>} titles - Titles of the tabs in the cluster
+   * @returns {Promise<string>} - Group title
+   */
+  async nameCluster(modelConfig, titles) {
+    try {
+      const response = await this.sendMessage({
+        action: 'nameCluster',
+        runId: this.runId,
+        url: modelConfig.url,
+        model: modelConfig.model,
+        titles: titles.slice(0, 15)
+      });
+      
+      if (response && response.title) {
+        return response.title;
+      }
+    } catch (error) {
+      debugLogger.warn('Could not name cluster:', error);
+    }
+    
+    // Fall back to the first tab's title
+    return (titles[0] || 'Similar').split(/\s+/).slice(0, 2).join(' ');
+  }
+
   /**
    * Analyze tabs using the selected AI model
    * @param {Array} tabs - Array of tabs to analyze
    * @param {Object} modelConfig - Configuration for the AI model
+   * @param {Object} [knownCategories] - Tab categories that do not need to be analyzed again
    * @returns {Promise<Object>} - Object mapping tab IDs to categories
    */
-  async analyzeTabs(tabs, modelConfig) {
+  async analyzeTabs(tabs, modelConfig, knownCategories = {}) {
     const tabCategories = {};
     
     // Get timeout setting and custom prompt
-    const settings = await chrome.storage.sync.get(['analysisTimeout', 'tabSorterCategories', 'analysisPrompt']);
+    const settings = await chrome.storage.sync.get(['analysisTimeout', 'tabSorterCategories', 'analysisPrompt', 'batchAnalysisEnabled']);
     const timeoutSeconds = settings.analysisTimeout || 15;
     const availableCategories = settings.tabSorterCategories || [];
     const prompt = settings.analysisPrompt || "Analyze this web page content and categorize it into a single category. Choose a concise 1-2 word category name.";
@@ -80,9 +427,77 @@ export class TabOrganizer {
       timeoutSeconds: timeoutSeconds,
       modelType: modelConfig.type,
       prompt: prompt,
-      availableCategories: Array.isArray(availableCategories) && availableCategories.length > 0 ? availableCategories.length : 'using defaults'
+      availableCategories: Array.isArray(availableCategories) && availableCategories.length > 0 ? availableCategories.length : 'using defaults',
+      batchAnalysis: settings.batchAnalysisEnabled === true
     });
     
+    // A resumed run keeps the categories it had already reported
+    tabs
+      .filter(tab => tab.id in knownCategories)
+      .forEach(tab => {
+        tabCategories[tab.id] = knownCategories[tab.id];
+      });
+    
+    // User-defined rules take precedence; only unmatched tabs go to the model
+    const ruleMatches = this.ruleEngine.apply(
+      tabs.filter(tab => !(tab.id in tabCategories)),
+      await this.ruleEngine.loadRules()
+    );
+    for (const [tabId, match] of Object.entries(ruleMatches)) {
+      tabCategories[tabId] = match.category;
+    }
+    tabs
+      .filter(tab => tab.id in ruleMatches)
+      .forEach(tab => this.reportTabResult(tab, tabCategories[tab.id], { rule: ruleMatches[tab.id].rule.pattern }));
+    
+    const pendingTabs = tabs.filter(tab => !(tab.id in tabCategories));
+    
+    // Reuse categories of tabs that were classified before by the same model.
+    // The content is extracted once, for the cache keys and for the model.
+    const model = modelConfig.model ? `${modelConfig.type}:${modelConfig.model}` : modelConfig.type;
+    const promptVersion = await this.classificationCache.getPromptVersion(prompt, availableCategories);
+    const contents = await this.getTabContents(pendingTabs.filter(tab => !this.isUnanalyzableTab(tab)));
+    const cacheKeys = await this.getCacheKeys(pendingTabs, contents);
+    const cachedCategories = await this.classificationCache.lookup(cacheKeys, promptVersion, model);
+    Object.assign(tabCategories, cachedCategories);
+    
+    const uncachedTabs = pendingTabs.filter(tab => !(tab.id in tabCategories));
+    pendingTabs
+      .filter(tab => tab.id in cachedCategories)
+      .forEach(tab => this.reportTabResult(tab, tabCategories[tab.id], { cached: true }));
+    
+    const result = settings.batchAnalysisEnabled === true
+      ? await this.analyzeTabsInBatches(uncachedTabs, modelConfig, prompt, availableCategories, timeoutSeconds, contents)
+      : await this.analyzeTabsIndividually(uncachedTabs, modelConfig, prompt, contents);
+    
+    Object.assign(tabCategories, result.tabCategories);
+    
+    // Fallback results are not cached so the tab is retried on the next run
+    await this.classificationCache.store(
+      uncachedTabs
+        .filter(tab => cacheKeys[tab.id] && !result.fallbackTabIds.has(tab.id))
+        .map(tab => ({ key: cacheKeys[tab.id], category: tabCategories[tab.id] })),
+      {
+        model: model,
+        promptVersion: promptVersion
+      }
+    );
+    
+    return tabCategories;
+  }
+
+  /**
+   * Analyze tabs with one prompt per tab
+   * @param {Array} tabs - Array of tabs to analyze
+   * @param {Object} modelConfig - Configuration for the AI model
+   * @param {string} prompt - Prompt for the AI model
+   * @param {Object} [contents] - Extracted content by tab ID; missing tabs are extracted when analyzed
+   * @returns {Promise<Object>} - { tabCategories, fallbackTabIds: Set<number> }
+   */
+  async analyzeTabsIndividually(tabs, modelConfig, prompt, contents = {}) {
+    const tabCategories = {};
+    const fallbackTabIds = new Set();
+    
     // Process tabs in batches to avoid overwhelming the browser
     const batchSize = 5;
     const batches = [];
@@ -91,64 +506,48 @@ export class TabOrganizer {
       batches.push(tabs.slice(i, i + batchSize));
     }
     
-    let processedCount = 0;
-    const totalCount = tabs.length;
-    
-    // Check if notifications are enabled
-    const notificationPrefs = await new Promise(resolve => {
-      chrome.storage.sync.get('notificationsEnabled', resolve);
-    });
-    const notificationsEnabled = notificationPrefs.notificationsEnabled !== false;
-    
     for (const batch of batches) {
+      // Stop issuing model requests once the run is cancelled
+      if (this.cancelRequested) {
+        break;
+      }
+      
       const batchPromises = batch.map(async (tab) => {
         try {
           // Skip tabs that are likely to cause errors (error pages, etc.)
-          if (tab.url.includes('chrome-error://') || 
-              tab.status === 'loading' || 
-              tab.title.includes('ERR_') || 
-              tab.title.includes('Error')) {
-            
+          if (this.isUnanalyzableTab(tab)) {
             // Use the tab's domain as a fallback category
-            let domain = 'Unknown';
-            try {
-              if (tab.url.startsWith('http')) {
-                const url = new URL(tab.url);
-                domain = url.hostname.replace('www.', '').split('.')[0];
-                // Capitalize first letter
-                domain = domain.charAt(0).toUpperCase() + domain.slice(1);
-              }
-            } catch (e) {
-              console.error('Error parsing URL:', e);
-            }
-            
-            tabCategories[tab.id] = domain || 'Error';
-            processedCount++;
-            
-            // Update progress notification every 5 tabs if notifications are enabled
-            if (notificationsEnabled && (processedCount % 5 === 0 || processedCount === totalCount)) {
-              chrome.runtime.sendMessage({
-                action: 'showNotification',
-                title: 'Tab Genius',
-                message: `Analyzing tabs: ${processedCount}/${totalCount}`
-              });
-            }
-            
+            tabCategories[tab.id] = this.getDomainCategory(tab);
+            fallbackTabIds.add(tab.id);
+            this.reportTabResult(tab, tabCategories[tab.id], { fallback: true, reason: 'Page could not be analyzed' });
             return;
           }
           
+          this.reportProgress({ type: 'tabStarted', tabId: tab.id, title: tab.title });
+          
           let result;
           
           if (modelConfig.type === 'gemini') {
             // Use Google's Gemini API
-            result = await this.analyzeWithGemini(prompt, tab.id);
+            result = await this.analyzeWithGemini(prompt, tab.id, contents[tab.id]);
           } else if (modelConfig.type === 'ollama') {
             // Use Ollama API
             result = await this.analyzeWithOllama(
               modelConfig.url,
               modelConfig.model,
               prompt,
-              tab.id
+              tab.id,
+              contents[tab.id]
+            );
+          } else if (modelConfig.type === 'openai') {
+            // Use an OpenAI-compatible chat completions API
+            result = await this.analyzeWithOpenAI(
+              modelConfig.url,
+              modelConfig.model,
+              modelConfig.apiKey,
+              prompt,
+              tab.id,
+              contents[tab.id]
             );
           } else {
             throw new Error(`Unknown model type: ${modelConfig.type}`);
@@ -163,36 +562,243 @@ export class TabOrganizer {
             tabCategories[tab.id] = 'Misc';
           }
           
-          processedCount++;
-          
-          // Update progress notification every 5 tabs if notifications are enabled
-          if (notificationsEnabled && (processedCount % 5 === 0 || processedCount === totalCount)) {
-            chrome.runtime.sendMessage({
-              action: 'showNotification',
-              title: 'Tab Genius',
-              message: `Analyzing tabs: ${processedCount}/${totalCount}`
-            });
+          if (!result || result.error || result.fallback) {
+            fallbackTabIds.add(tab.id);
           }
+          
+          this.reportTabResult(tab, tabCategories[tab.id], {
+            fallback: fallbackTabIds.has(tab.id),
+            confidence: result ? result.confidence : undefined,
+            reason: result ? (result.error || result.reason) : undefined
+          });
         } catch (error) {
           console.error(`Error analyzing tab ${tab.id}:`, error);
           tabCategories[tab.id] = 'Misc';
-          processedCount++;
+          fallbackTabIds.add(tab.id);
+          this.reportProgress({ type: 'error', tabId: tab.id, title: tab.title, message: error.message });
         }
       });
       
       await Promise.all(batchPromises);
     }
     
-    return tabCategories;
+    return { tabCategories, fallbackTabIds };
+  }
+
+  /**
+   * Analyze tabs with one prompt per chunk of tabs instead of one prompt per tab
+   * @param {Array} tabs - Array of tabs to analyze
+   * @param {Object} modelConfig - Configuration for the AI model
+   * @param {string} prompt - Prompt for the AI model
+   * @param {Array<string>} availableCategories - Available categories to choose from
+   * @param {number} timeoutSeconds - Per-tab analysis timeout
+   * @param {Object} [contents] - Extracted content by tab ID; missing tabs are extracted when analyzed
+   * @returns {Promise<Object>} - { tabCategories, fallbackTabIds: Set<number> }
+   */
+  async analyzeTabsInBatches(tabs, modelConfig, prompt, availableCategories, timeoutSeconds, contents = {}) {
+    const tabCategories = {};
+    const fallbackTabIds = new Set();
+    const analyzableTabs = [];
+    
+    for (const tab of tabs) {
+      if (this.isUnanalyzableTab(tab)) {
+        tabCategories[tab.id] = this.getDomainCategory(tab);
+        fallbackTabIds.add(tab.id);
+        this.reportTabResult(tab, tabCategories[tab.id], { fallback: true, reason: 'Page could not be analyzed' });
+      } else {
+        analyzableTabs.push(tab);
+      }
+    }
+    
+    // Large windows are split into a few prompts to stay within the model's context
+    const chunkSize = 20;
+    for (let i = 0; i < analyzableTabs.length; i += chunkSize) {
+      // Stop issuing model requests once the run is cancelled
+      if (this.cancelRequested) {
+        break;
+      }
+      
+      const chunk = analyzableTabs.slice(i, i + chunkSize);
+      chunk.forEach(tab => this.reportProgress({ type: 'tabStarted', tabId: tab.id, title: tab.title }));
+      
+      debugLogger.log('Analyzing tab chunk', {
+        chunk: i / chunkSize + 1,
+        tabCount: chunk.length
+      });
+      
+      const analysisPromise = new Promise(resolve => {
+        this.sendMessage({
+          action: 'analyzeBatch',
+          runId: this.runId,
+          modelConfig: modelConfig,
+          prompt: prompt,
+          tabIds: chunk.map(tab => tab.id),
+          contents: Object.fromEntries(chunk.filter(tab => contents[tab.id]).map(tab => [tab.id, contents[tab.id]])),
+          categories: availableCategories
+        }).then((response) => {
+          if (!response) {
+            debugLogger.warn('No response from batch analysis');
+            resolve({ categories: {}, error: 'No response' });
+          } else {
+            resolve(response);
+          }
+        }).catch((error) => {
+          debugLogger.warn('Error in batch analysis:', error);
+          resolve({ categories: {}, error: error.message });
+        });
+      });
+      
+      // Allow as much time as the per-tab mode would need for this chunk
+      const chunkTimeoutSeconds = timeoutSeconds * Math.ceil(chunk.length / 5);
+      const timeoutPromise = new Promise(resolve => {
+        setTimeout(() => {
+          debugLogger.warn('Batch analysis timeout, falling back to default categories', {
+            timeoutSeconds: chunkTimeoutSeconds
+          });
+          resolve({ categories: {}, error: 'Analysis timeout' });
+        }, chunkTimeoutSeconds * 1000);
+      });
+      
+      const result = await Promise.race([analysisPromise, timeoutPromise]);
+      
+      // Any tab missing from the result falls back individually
+      const chunkFallbackIds = new Set(result.fallbackTabIds || []);
+      for (const tab of chunk) {
+        const category = result.categories && result.categories[tab.id];
+        if (!category || chunkFallbackIds.has(tab.id)) {
+          fallbackTabIds.add(tab.id);
+        }
+        tabCategories[tab.id] = category || await this.getFallbackCategory(tab);
+        this.reportTabResult(tab, tabCategories[tab.id], {
+          fallback: fallbackTabIds.has(tab.id),
+          reason: result.error
+        });
+      }
+    }
+    
+    return { tabCategories, fallbackTabIds };
+  }
+
+  /**
+   * Extract the content of tabs
+   * @param {Array} tabs - Array of tabs
+   * @returns {Promise<Object>} - Map of tab IDs to content; tabs that could not be read are missing
+   */
+  async getTabContents(tabs) {
+    if (tabs.length === 0) {
+      return {};
+    }
+    
+    try {
+      const response = await this.sendMessage({
+        action: 'getTabContents',
+        tabIds: tabs.map(tab => tab.id)
+      });
+      return (response && response.contents) || {};
+    } catch (error) {
+      debugLogger.warn('Could not extract tab contents:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Build the classification cache keys of tabs
+   * @param {Array} tabs - Array of tabs
+   * @param {Object} contents - Map of tab IDs to extracted content
+   * @returns {Promise<Object>} - Map of tab IDs to cache keys, for tabs with content
+   */
+  async getCacheKeys(tabs, contents) {
+    const cacheKeys = {};
+    
+    try {
+      for (const tab of tabs) {
+        if (contents[tab.id]) {
+          cacheKeys[tab.id] = await this.classificationCache.buildKey(tab.url, contents[tab.id]);
+        }
+      }
+    } catch (error) {
+      debugLogger.warn('Could not build classification cache keys:', error);
+    }
+    
+    return cacheKeys;
+  }
+
+  /**
+   * Get a fallback category for a single tab from the local classifier
+   * @param {Object} tab - Tab object
+   * @returns {Promise<string>} - Category name
+   */
+  async getFallbackCategory(tab) {
+    try {
+      const response = await this.sendMessage({
+        action: 'simulateFallback',
+        tabId: tab.id,
+        title: tab.title || '',
+        url: tab.url || ''
+      });
+      return response?.category || 'Misc';
+    } catch (error) {
+      debugLogger.warn(`Fallback categorization failed for tab ${tab.id}:`, error);
+      return 'Misc';
+    }
+  }
+
+  /**
+   * Get the tabs an organize run should sort
+   * Tabs that are already in a group stay where they are unless the user enabled regrouping
+   * @returns {Promise<Array>} - Unpinned tabs in scope
+   */
+  async getTabsToOrganize() {
+    const [tabs, settings] = await Promise.all([
+      chrome.tabs.query(this.tabStateManager.getScopeQuery()),
+      chrome.storage.sync.get('regroupGroupedTabs')
+    ]);
+    
+    return tabs.filter(tab => !tab.pinned &&
+      (settings.regroupGroupedTabs === true || tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE));
+  }
+
+  /**
+   * Check whether a tab is likely to fail analysis (error pages, still loading, etc.)
+   * @param {Object} tab - Tab object
+   * @returns {boolean}
+   */
+  isUnanalyzableTab(tab) {
+    return tab.url.includes('chrome-error://') || 
+           tab.status === 'loading' || 
+           tab.title.includes('ERR_') || 
+           tab.title.includes('Error');
+  }
+
+  /**
+   * Derive a category from the tab's domain name
+   * @param {Object} tab - Tab object
+   * @returns {string} - Capitalized domain name
+   */
+  getDomainCategory(tab) {
+    let domain = 'Unknown';
+    try {
+      if (tab.url.startsWith('http')) {
+        const url = new URL(tab.url);
+        domain = url.hostname.replace('www.', '').split('.')[0];
+        // Capitalize first letter
+        domain = domain.charAt(0).toUpperCase() + domain.slice(1);
+      }
+    } catch (e) {
+      console.error('Error parsing URL:', e);
+    }
+    
+    return domain || 'Error';
   }
 
   /**
    * Analyze tab with Google's Gemini API
    * @param {string} prompt - Prompt for the AI model
    * @param {number} tabId - ID of the tab to analyze
+   * @param {string} [content] - Content already extracted from the tab
    * @returns {Promise<Object>} - Analysis result
    */
-  async analyzeWithGemini(prompt, tabId) {
+  async analyzeWithGemini(prompt, tabId, content) {
     try {
       // Get the timeout setting or use default
       const result = await new Promise(resolve => {
@@ -201,42 +807,42 @@ export class TabOrganizer {
       
       const timeoutSeconds = result.analysisTimeout || 15;
       const customPrompt = result.analysisPrompt || prompt;
+      // Without custom categories the worker uses the built-in ones
       const categories = result.tabSorterCategories || [];
       
       debugLogger.log(`Analyzing tab ${tabId} with Gemini`, {
         timeoutSeconds: timeoutSeconds,
         prompt: customPrompt,
-        categoriesCount: categories.length
+        categoriesCount: categories.length > 0 ? categories.length : 'using defaults'
       });
       
       // Create a promise that will resolve with the message response or reject on timeout
       const analysisPromise = new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage(
-          {
-            action: 'analyzeWithGemini',
-            prompt: customPrompt,
-            tabId: tabId,
-            categories: categories
-          },
-          (response) => {
-            if (chrome.runtime.lastError) {
-              debugLogger.warn(`Error in Gemini analysis for tab ${tabId}:`, chrome.runtime.lastError);
-              resolve({ category: 'Misc', error: chrome.runtime.lastError.message });
-            } else if (response && response.error) {
-              debugLogger.warn(`Error response from Gemini for tab ${tabId}:`, response.error);
-              resolve({ category: response.category || 'Misc', error: response.error });
-            } else if (!response) {
-              debugLogger.warn(`No response from Gemini for tab ${tabId}`);
-              resolve({ category: 'Misc', error: 'No response' });
-            } else {
-              debugLogger.log(`Gemini analysis for tab ${tabId} complete:`, {
-                category: response.category,
-                tabId: tabId
-              });
-              resolve(response);
-            }
+        this.sendMessage({
+          action: 'analyzeWithGemini',
+          runId: this.runId,
+          prompt: customPrompt,
+          tabId: tabId,
+          content: content,
+          categories: categories
+        }).then((response) => {
+          if (response && response.error) {
+            debugLogger.warn(`Error response from Gemini for tab ${tabId}:`, response.error);
+            resolve({ category: response.category || 'Misc', error: response.error });
+          } else if (!response) {
+            debugLogger.warn(`No response from Gemini for tab ${tabId}`);
+            resolve({ category: 'Misc', error: 'No response' });
+          } else {
+            debugLogger.log(`Gemini analysis for tab ${tabId} complete:`, {
+              category: response.category,
+              tabId: tabId
+            });
+            resolve(response);
           }
-        );
+        }).catch((error) => {
+          debugLogger.warn(`Error in Gemini analysis for tab ${tabId}:`, error);
+          resolve({ category: 'Misc', error: error.message });
+        });
       });
       
       // Create a timeout promise
@@ -247,18 +853,17 @@ export class TabOrganizer {
           });
           
           // Use simulate fallback for timeout
-          chrome.runtime.sendMessage(
-            {
-              action: 'simulateFallback',
-              tabId: tabId
-            },
-            (response) => {
-              resolve({ 
-                category: response?.category || 'Misc', 
-                error: 'Analysis timeout' 
-              });
-            }
-          );
+          this.sendMessage({
+            action: 'simulateFallback',
+            tabId: tabId
+          }).then((response) => {
+            resolve({ 
+              category: response?.category || 'Misc', 
+              error: 'Analysis timeout' 
+            });
+          }).catch(() => {
+            resolve({ category: 'Misc', error: 'Analysis timeout' });
+          });
         }, timeoutSeconds * 1000);
       });
       
@@ -269,7 +874,7 @@ export class TabOrganizer {
       
       // Use simulate fallback for any error
       try {
-        const fallbackResult = await chrome.runtime.sendMessage({
+        const fallbackResult = await this.sendMessage({
           action: 'simulateFallback',
           tabId: tabId
         });
@@ -286,9 +891,10 @@ export class TabOrganizer {
    * @param {string} model - Model name for Ollama
    * @param {string} prompt - Prompt for the AI model
    * @param {number} tabId - ID of the tab to analyze
+   * @param {string} [content] - Content already extracted from the tab
    * @returns {Promise<Object>} - Analysis result
    */
-  async analyzeWithOllama(url, model, prompt, tabId) {
+  async analyzeWithOllama(url, model, prompt, tabId, content) {
     try {
       // Get the timeout setting or use default
       const result = await new Promise(resolve => {
@@ -307,33 +913,32 @@ export class TabOrganizer {
       
       // Create a promise that will resolve with the message response or reject on timeout
       const analysisPromise = new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage(
-          {
-            action: 'analyzeWithOllama',
-            url: url,
-            model: model,
-            prompt: customPrompt,
-            tabId: tabId
-          },
-          (response) => {
-            if (chrome.runtime.lastError) {
-              debugLogger.warn(`Error in Ollama analysis for tab ${tabId}:`, chrome.runtime.lastError);
-              resolve({ category: response?.category || 'Misc', error: chrome.runtime.lastError.message });
-            } else if (response && response.error) {
-              debugLogger.warn(`Error response from Ollama for tab ${tabId}:`, response.error);
-              resolve({ category: response.category || 'Misc', error: response.error });
-            } else if (!response) {
-              debugLogger.warn(`No response from Ollama for tab ${tabId}`);
-              resolve({ category: 'Misc', error: 'No response' });
-            } else {
-              debugLogger.log(`Ollama analysis for tab ${tabId} complete:`, {
-                category: response.category,
-                tabId: tabId
-              });
-              resolve(response);
-            }
+        this.sendMessage({
+          action: 'analyzeWithOllama',
+          runId: this.runId,
+          url: url,
+          model: model,
+          prompt: customPrompt,
+          tabId: tabId,
+          content: content
+        }).then((response) => {
+          if (response && response.error) {
+            debugLogger.warn(`Error response from Ollama for tab ${tabId}:`, response.error);
+            resolve({ category: response.category || 'Misc', error: response.error });
+          } else if (!response) {
+            debugLogger.warn(`No response from Ollama for tab ${tabId}`);
+            resolve({ category: 'Misc', error: 'No response' });
+          } else {
+            debugLogger.log(`Ollama analysis for tab ${tabId} complete:`, {
+              category: response.category,
+              tabId: tabId
+            });
+            resolve(response);
           }
-        );
+        }).catch((error) => {
+          debugLogger.warn(`Error in Ollama analysis for tab ${tabId}:`, error);
+          resolve({ category: 'Misc', error: error.message });
+        });
       });
       
       // Create a timeout promise
@@ -344,18 +949,17 @@ export class TabOrganizer {
           });
           
           // Use simulate fallback for timeout
-          chrome.runtime.sendMessage(
-            {
-              action: 'simulateFallback',
-              tabId: tabId
-            },
-            (response) => {
-              resolve({ 
-                category: response?.category || 'Misc', 
-                error: 'Analysis timeout' 
-              });
-            }
-          );
+          this.sendMessage({
+            action: 'simulateFallback',
+            tabId: tabId
+          }).then((response) => {
+            resolve({ 
+              category: response?.category || 'Misc', 
+              error: 'Analysis timeout' 
+            });
+          }).catch(() => {
+            resolve({ category: 'Misc', error: 'Analysis timeout' });
+          });
         }, timeoutSeconds * 1000);
       });
       
@@ -366,7 +970,7 @@ export class TabOrganizer {
       
       // Use simulate fallback for any error
       try {
-        const fallbackResult = await chrome.runtime.sendMessage({
+        const fallbackResult = await this.sendMessage({
           action: 'simulateFallback',
           tabId: tabId
         });
@@ -378,11 +982,289 @@ export class TabOrganizer {
   }
 
   /**
-   * Group tabs by category
+   * Analyze tab with an OpenAI-compatible chat completions API
+   * @param {string} url - Base URL of the OpenAI-compatible server
+   * @param {string} model - Model name
+   * @param {string} apiKey - Optional bearer token
+   * @param {string} prompt - Prompt for the AI model
+   * @param {number} tabId - ID of the tab to analyze
+   * @param {string} [content] - Content already extracted from the tab
+   * @returns {Promise<Object>} - Analysis result
+   */
+  async analyzeWithOpenAI(url, model, apiKey, prompt, tabId, content) {
+    try {
+      // Get the timeout setting or use default
+      const result = await new Promise(resolve => {
+        chrome.storage.sync.get(['analysisTimeout', 'analysisPrompt'], resolve);
+      });
+      
+      const timeoutSeconds = result.analysisTimeout || 15;
+      const customPrompt = result.analysisPrompt || prompt;
+      
+      debugLogger.log(`Analyzing tab ${tabId} with OpenAI-compatible API`, {
+        timeoutSeconds: timeoutSeconds,
+        url: url,
+        model: model,
+        prompt: customPrompt
+      });
+      
+      // Create a promise that will resolve with the message response or reject on timeout
+      const analysisPromise = new Promise((resolve, reject) => {
+        this.sendMessage({
+          action: 'analyzeWithOpenAI',
+          runId: this.runId,
+          url: url,
+          model: model,
+          apiKey: apiKey,
+          prompt: customPrompt,
+          tabId: tabId,
+          content: content
+        }).then((response) => {
+          if (response && response.error) {
+            debugLogger.warn(`Error response from OpenAI-compatible API for tab ${tabId}:`, response.error);
+            resolve({ category: response.category || 'Misc', error: response.error });
+          } else if (!response) {
+            debugLogger.warn(`No response from OpenAI-compatible API for tab ${tabId}`);
+            resolve({ category: 'Misc', error: 'No response' });
+          } else {
+            debugLogger.log(`OpenAI-compatible analysis for tab ${tabId} complete:`, {
+              category: response.category,
+              tabId: tabId
+            });
+            resolve(response);
+          }
+        }).catch((error) => {
+          debugLogger.warn(`Error in OpenAI-compatible analysis for tab ${tabId}:`, error);
+          resolve({ category: 'Misc', error: error.message });
+        });
+      });
+      
+      // Create a timeout promise
+      const timeoutPromise = new Promise(resolve => {
+        setTimeout(() => {
+          debugLogger.warn(`Analysis timeout for tab ${tabId}, falling back to default category`, {
+            timeoutSeconds: timeoutSeconds
+          });
+          
+          // Use simulate fallback for timeout
+          this.sendMessage({
+            action: 'simulateFallback',
+            tabId: tabId
+          }).then((response) => {
+            resolve({ 
+              category: response?.category || 'Misc', 
+              error: 'Analysis timeout' 
+            });
+          }).catch(() => {
+            resolve({ category: 'Misc', error: 'Analysis timeout' });
+          });
+        }, timeoutSeconds * 1000);
+      });
+      
+      // Race the analysis against the timeout
+      return await Promise.race([analysisPromise, timeoutPromise]);
+    } catch (error) {
+      debugLogger.error(`Unexpected error in OpenAI-compatible analysis for tab ${tabId}:`, error);
+      
+      // Use simulate fallback for any error
+      try {
+        const fallbackResult = await this.sendMessage({
+          action: 'simulateFallback',
+          tabId: tabId
+        });
+        return { category: fallbackResult?.category || 'Misc', error: error.message };
+      } catch (fallbackError) {
+        return { category: 'Misc', error: error.message };
+      }
+    }
+  }
+
+  /**
+   * Apply the grouping policy to analyzed tab categories
+   * With the groups layout tabs are grouped in their own window, so each window
+   * is checked on its own against only the groups already in it
+   * @param {Object} analyzedCategories - Map of tab IDs to categories
+   * @param {Array} tabs - Tabs being organized
+   * @param {string} layout - groups (in each tab's window), windowPerCategory or singleWindow
+   * @returns {Promise<Object>} - { categories, merged }, see GroupingPolicy.apply
+   */
+  async applyGroupingPolicy(analyzedCategories, tabs, layout) {
+    const groupingPolicy = await GroupingPolicy.load();
+    const targetGroups = await this.getTargetGroups(tabs, layout);
+    
+    if (layout === 'windowPerCategory' || layout === 'singleWindow') {
+      return groupingPolicy.apply(analyzedCategories, targetGroups.map(group => group.title || ''));
+    }
+    
+    const result = { categories: {}, merged: {} };
+    for (const windowId of new Set(tabs.map(tab => tab.windowId))) {
+      const windowCategories = {};
+      tabs
+        .filter(tab => tab.windowId === windowId && tab.id in analyzedCategories)
+        .forEach(tab => { windowCategories[tab.id] = analyzedCategories[tab.id]; });
+      
+      const { categories, merged } = groupingPolicy.apply(
+        windowCategories,
+        targetGroups.filter(group => group.windowId === windowId).map(group => group.title || '')
+      );
+      Object.assign(result.categories, categories);
+      Object.assign(result.merged, merged);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Get the groups that organized tabs can join
+   * @param {Array} tabs - Tabs being organized
+   * @param {string} layout - groups (in each tab's window), windowPerCategory or singleWindow
+   * @returns {Promise<Array>} - Tab groups
+   */
+  async getTargetGroups(tabs, layout) {
+    switch (layout) {
+      case 'windowPerCategory':
+        // Categories get fresh windows, apart from the one that stays in this window
+        return [];
+      case 'singleWindow':
+        return chrome.tabGroups.query({ windowId: this.windowId });
+      default: {
+        const windowIds = new Set(tabs.map(tab => tab.windowId));
+        const groups = await chrome.tabGroups.query({});
+        return groups.filter(group => windowIds.has(group.windowId));
+      }
+    }
+  }
+
+  /**
+   * Order and collapse the groups in the windows the organized tabs ended up in
    * @param {Object} tabCategories - Object mapping tab IDs to categories
    * @returns {Promise<void>}
    */
-  async groupTabsByCategory(tabCategories) {
+  async layOutGroups(tabCategories) {
+    const groupLayout = await GroupLayout.load();
+    if (!groupLayout.isActive()) return;
+    
+    const tabs = await chrome.tabs.query({});
+    const windowIds = new Set(tabs.filter(tab => tab.id in tabCategories).map(tab => tab.windowId));
+    
+    try {
+      await groupLayout.apply(windowIds);
+    } catch (error) {
+      // The tabs are grouped already, so a failed layout is not worth failing the run
+      debugLogger.warn('Could not lay out tab groups:', error);
+    }
+  }
+
+  /**
+   * Move categorized tabs into groups according to the window layout
+   * @param {Object} tabCategories - Object mapping tab IDs to categories
+   * @param {Array} tabs - Tabs being organized
+   * @param {string} layout - groups (in each tab's window), windowPerCategory or singleWindow
+   * @returns {Promise<boolean>} - False if the run was cancelled
+   */
+  async arrangeTabs(tabCategories, tabs, layout) {
+    const categorizedTabs = tabs.filter(tab => tab.id in tabCategories);
+    
+    if (layout === 'windowPerCategory') {
+      return this.groupTabsIntoWindows(tabCategories, categorizedTabs);
+    }
+    
+    if (layout === 'singleWindow') {
+      const outsideTabIds = categorizedTabs
+        .filter(tab => tab.windowId !== this.windowId)
+        .map(tab => tab.id);
+      
+      if (outsideTabIds.length > 0) {
+        debugLogger.log('Moving tabs into this window', { tabCount: outsideTabIds.length });
+        await chrome.tabs.move(outsideTabIds, { windowId: this.windowId, index: -1 });
+      }
+      return this.groupTabsByCategory(tabCategories, this.windowId);
+    }
+    
+    // Tabs are grouped in the window they are in
+    const categoriesByWindow = new Map();
+    for (const tab of categorizedTabs) {
+      if (!categoriesByWindow.has(tab.windowId)) {
+        categoriesByWindow.set(tab.windowId, {});
+      }
+      categoriesByWindow.get(tab.windowId)[tab.id] = tabCategories[tab.id];
+    }
+    
+    for (const [windowId, windowCategories] of categoriesByWindow) {
+      if (!await this.groupTabsByCategory(windowCategories, windowId)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Give each category a window of its own
+   * The category with the most tabs in this window stays here, so the window is never emptied
+   * @param {Object} tabCategories - Object mapping tab IDs to categories
+   * @param {Array} tabs - Categorized tabs
+   * @returns {Promise<boolean>} - False if the run was cancelled
+   */
+  async groupTabsIntoWindows(tabCategories, tabs) {
+    const tabIdsByCategory = new Map();
+    const countsInThisWindow = new Map();
+    for (const tab of tabs) {
+      const category = tabCategories[tab.id];
+      if (!tabIdsByCategory.has(category)) {
+        tabIdsByCategory.set(category, []);
+      }
+      tabIdsByCategory.get(category).push(tab.id);
+      
+      if (tab.windowId === this.windowId) {
+        countsInThisWindow.set(category, (countsInThisWindow.get(category) || 0) + 1);
+      }
+    }
+    
+    const [homeCategory] = [...countsInThisWindow.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+    
+    for (const [category, tabIds] of tabIdsByCategory) {
+      if (this.cancelRequested) {
+        debugLogger.log('Organization cancelled while moving tabs, rolling back');
+        await this.tabStateManager.restorePreviousState();
+        return false;
+      }
+      
+      try {
+        let windowId = this.windowId;
+        let tabIdsToMove = tabIds;
+        
+        if (category !== homeCategory) {
+          const window = await chrome.windows.create({ tabId: tabIds[0], focused: false });
+          windowId = window.id;
+          tabIdsToMove = tabIds.slice(1);
+        }
+        
+        if (tabIdsToMove.length > 0) {
+          await chrome.tabs.move(tabIdsToMove, { windowId, index: -1 });
+        }
+        
+        debugLogger.log(`Moved category "${category}" to window ${windowId}`, { tabCount: tabIds.length });
+        
+        const windowCategories = Object.fromEntries(tabIds.map(tabId => [tabId, category]));
+        if (!await this.groupTabsByCategory(windowCategories, windowId)) {
+          return false;
+        }
+      } catch (error) {
+        debugLogger.error(`Error moving category ${category} to its own window:`, error);
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Group tabs by category
+   * If the run is cancelled part way through, the groups created so far are rolled back
+   * @param {Object} tabCategories - Object mapping tab IDs to categories
+   * @param {number} [windowId] - Window the tabs are in
+   * @returns {Promise<boolean>} - False if the run was cancelled
+   */
+  async groupTabsByCategory(tabCategories, windowId = this.windowId) {
     // Get unique categories
     const categories = [...new Set(Object.values(tabCategories))];
     
@@ -391,8 +1273,30 @@ export class TabOrganizer {
       tabCount: Object.keys(tabCategories).length
     });
     
+    // Tabs join an existing group with the same title instead of a duplicate group
+    const existingGroups = new Map();
+    const windowGroups = await chrome.tabGroups.query({ windowId });
+    for (const group of windowGroups) {
+      const title = (group.title || '').trim().toLowerCase();
+      if (title && !existingGroups.has(title)) {
+        existingGroups.set(title, group.id);
+      }
+    }
+    
+    // New groups get colors the window's groups don't use yet
+    const groupColors = await this.groupColors.assignColors(
+      categories.filter(category => !existingGroups.has(category.trim().toLowerCase())),
+      windowGroups.map(group => group.color)
+    );
+    
     // Create tab groups for each category
     for (const category of categories) {
+      if (this.cancelRequested) {
+        debugLogger.log('Organization cancelled while grouping, rolling back');
+        await this.tabStateManager.restorePreviousState();
+        return false;
+      }
+      
       // Get tab IDs for this category
       const tabIds = Object.entries(tabCategories)
         .filter(([_, cat]) => cat === category)
@@ -400,49 +1304,42 @@ export class TabOrganizer {
       
       if (tabIds.length > 0) {
         try {
+          const existingGroupId = existingGroups.get(category.trim().toLowerCase());
+          if (existingGroupId !== undefined) {
+            // Keep the title and color the group already has
+            await chrome.tabs.group({ groupId: existingGroupId, tabIds });
+            
+            debugLogger.log(`Added tabs to existing group "${category}"`, {
+              groupId: existingGroupId,
+              tabIds: tabIds
+            });
+            continue;
+          }
+          
           debugLogger.log(`Creating group for category "${category}"`, {
             tabCount: tabIds.length,
             tabIds: tabIds
           });
           
           // Create a group for these tabs
-          const groupId = await chrome.tabs.group({ tabIds });
+          const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
           
           // Set group title and color
           await chrome.tabGroups.update(groupId, {
             title: category,
-            color: this.getCategoryColor(category)
+            color: groupColors.get(category)
           });
           
           debugLogger.log(`Group created for "${category}"`, {
             groupId: groupId,
-            color: this.getCategoryColor(category)
+            color: groupColors.get(category)
           });
         } catch (error) {
           debugLogger.error(`Error creating group for category ${category}:`, error);
         }
       }
     }
-  }
-
-  /**
-   * Get a consistent color for a category
-   * @param {string} category - Category name
-   * @returns {string} - Color name from Chrome's supported colors
-   */
-  getCategoryColor(category) {
-    // Chrome's supported colors
-    const colors = [
-      'grey', 'blue', 'red', 'yellow', 'green',
-      'pink', 'purple', 'cyan', 'orange'
-    ];
-    
-    // Generate a consistent index based on the category name
-    const hash = category.split('').reduce((acc, char) => {
-      return acc + char.charCodeAt(0);
-    }, 0);
-    
-    // Use modulo to get an index within the colors array
-    return colors[hash % colors.length];
+    
+    return true;
   }
 }
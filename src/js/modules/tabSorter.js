@@ -2,10 +2,71 @@
  * Handles tab sorting functionality
  */
 import debugLogger from './debugLogger.js';
+import { DomainParser } from './domainParser.js';
+import { TabCreationTracker } from './tabCreationTracker.js';
+import { TitleNormalizer } from './titleNormalizer.js';
+import { GroupLayout, GROUP_ORDERS } from './groupLayout.js';
+
+// Keys tabs can be sorted by, with their label and default direction
+export const SORT_KEYS = {
+  title: { label: 'Title', direction: 'asc' },
+  domain: { label: 'Domain', direction: 'asc' },
+  path: { label: 'URL path', direction: 'asc' },
+  url: { label: 'Full URL', direction: 'asc' },
+  lastAccessed: { label: 'Last used', direction: 'desc' },
+  created: { label: 'Opening order', direction: 'asc' },
+  audible: { label: 'Playing sound', direction: 'desc' },
+  category: { label: 'Category', direction: 'asc' },
+  group: { label: 'Group', direction: 'asc' }
+};
+
+// Where ungrouped tabs go when a window with groups is sorted
+export const SORT_UNGROUPED_POSITIONS = {
+  start: 'Before the groups',
+  end: 'After the groups',
+  interleaved: 'Between the groups, by the sort key'
+};
+
+// How groups are arranged when a window with groups is sorted
+export const DEFAULT_GROUP_SORT = {
+  groupOrder: 'none',
+  ungroupedPosition: 'end'
+};
+
+// Position given to ungrouped tabs by the group key, after every group
+const UNGROUPED_POSITION = Number.MAX_SAFE_INTEGER;
+
+// Ascending comparison of two tabs for each key. The context holds what
+// loadSortContext looked up for the tabs being sorted.
+const KEY_COMPARATORS = {
+  // Without a collator the raw title mode is on; equal normalized titles fall back to the full ones
+  title: (a, b, context) => context.collator
+    ? context.collator.compare(context.titles.get(a.id), context.titles.get(b.id)) ||
+      context.collator.compare(a.title || '', b.title || '')
+    : (a.title || '').toLowerCase().localeCompare((b.title || '').toLowerCase()),
+  domain: (a, b, context) => DomainParser.compareHosts(context.urls.get(a.id), context.urls.get(b.id)),
+  path: (a, b, context) => (context.urls.get(a.id)?.path ?? a.url).localeCompare(context.urls.get(b.id)?.path ?? b.url),
+  url: (a, b) => a.url.toLowerCase().localeCompare(b.url.toLowerCase()),
+  lastAccessed: (a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0),
+  // Tab IDs grow as tabs are opened, so they order tabs without a recorded time
+  created: (a, b, context) => (context.creationTimes.get(a.id) || 0) - (context.creationTimes.get(b.id) || 0) || a.id - b.id,
+  audible: (a, b) => Number(a.audible === true) - Number(b.audible === true),
+  category: (a, b, context) => context.categories.get(a.id).localeCompare(context.categories.get(b.id)),
+  group: (a, b, context) => (context.groupPositions.get(a.groupId) ?? UNGROUPED_POSITION) -
+    (context.groupPositions.get(b.groupId) ?? UNGROUPED_POSITION)
+};
 
 export class TabSorter {
-  constructor(tabStateManager) {
+  /**
+   * @param {TabStateManager} tabStateManager - Decides which tabs are sorted; call its
+   *   saveCurrentState() before sorting so the sort can be undone
+   * @param {Function} [sendMessage] - Delivers messages to the background handlers, for the category key
+   */
+  constructor(tabStateManager, sendMessage = message => chrome.runtime.sendMessage(message)) {
     this.tabStateManager = tabStateManager;
+    this.sendMessage = sendMessage;
+    // Sort the same tabs the state manager snapshots for undo
+    this.windowId = tabStateManager.windowId;
   }
 
   /**
@@ -16,26 +77,10 @@ export class TabSorter {
     try {
       debugLogger.log('Starting sort by title');
       
-      // Save current state before sorting
-      await this.tabStateManager.saveCurrentState();
-      
       const tabs = await this.getAllTabs();
       debugLogger.log('Retrieved tabs for sorting', { count: tabs.length });
       
-      // Check if there are any grouped tabs
-      const hasGroupedTabs = tabs.some(tab => 
-        tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && tab.groupId !== -1
-      );
-      
-      if (hasGroupedTabs) {
-        // Sort tabs within their groups
-        await this.sortTabsWithinGroups(tabs, 'title');
-      } else {
-        // Sort all tabs normally
-        const sortedTabs = this.sortTabsByProperty(tabs, 'title');
-        debugLogger.log('Tabs sorted by title');
-        await this.reorderTabs(sortedTabs);
-      }
+      await this.sortTabsInEachWindow(tabs, ['title']);
     } catch (error) {
       console.error('Error sorting tabs by title:', error);
       throw new Error('Failed to sort tabs by title');
@@ -50,45 +95,204 @@ export class TabSorter {
     try {
       debugLogger.log('Starting sort by URL');
       
-      // Save current state before sorting
-      await this.tabStateManager.saveCurrentState();
-      
       const tabs = await this.getAllTabs();
       debugLogger.log('Retrieved tabs for URL sorting', { count: tabs.length });
       
-      // Check if there are any grouped tabs
-      const hasGroupedTabs = tabs.some(tab => 
-        tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && tab.groupId !== -1
-      );
+      await this.sortTabsInEachWindow(tabs, ['url']);
+    } catch (error) {
+      debugLogger.error('Error sorting tabs by URL:', error);
+      throw new Error('Failed to sort tabs by URL');
+    }
+  }
+
+  /**
+   * Sort all tabs by registrable domain, then subdomain, then path
+   * The scheme and "www." are ignored, so http://www.github.com and
+   * https://github.com sort together
+   * @returns {Promise<void>}
+   */
+  async sortByDomain() {
+    try {
+      debugLogger.log('Starting sort by domain');
+      
+      const tabs = await this.getAllTabs();
+      debugLogger.log('Retrieved tabs for domain sorting', { count: tabs.length });
+      
+      await this.sortTabsInEachWindow(tabs, ['domain', 'path']);
+    } catch (error) {
+      debugLogger.error('Error sorting tabs by domain:', error);
+      throw new Error('Failed to sort tabs by domain');
+    }
+  }
+
+  /**
+   * Sort all tabs by when they were last looked at, most recent first
+   * @returns {Promise<void>}
+   */
+  async sortByLastAccessed() {
+    try {
+      debugLogger.log('Starting sort by last accessed');
+      
+      const tabs = await this.getAllTabs();
+      debugLogger.log('Retrieved tabs for last accessed sorting', { count: tabs.length });
+      
+      await this.sortTabsInEachWindow(tabs, ['lastAccessed']);
+    } catch (error) {
+      debugLogger.error('Error sorting tabs by last accessed:', error);
+      throw new Error('Failed to sort tabs by last accessed');
+    }
+  }
+
+  /**
+   * Sort all tabs in the order they were opened, oldest first
+   * Tabs opened before the background started recording come first
+   * @returns {Promise<void>}
+   */
+  async sortByCreation() {
+    try {
+      debugLogger.log('Starting sort by creation order');
+      
+      const tabs = await this.getAllTabs();
+      debugLogger.log('Retrieved tabs for creation order sorting', { count: tabs.length });
+      
+      await this.sortTabsInEachWindow(tabs, ['created']);
+    } catch (error) {
+      debugLogger.error('Error sorting tabs by creation order:', error);
+      throw new Error('Failed to sort tabs by creation order');
+    }
+  }
+
+  /**
+   * Move tabs that are playing sound to the front, keeping the order of the rest
+   * @returns {Promise<void>}
+   */
+  async sortByAudible() {
+    try {
+      debugLogger.log('Starting sort by audible');
+      
+      const tabs = await this.getAllTabs();
+      debugLogger.log('Retrieved tabs for audible sorting', {
+        count: tabs.length,
+        audible: tabs.filter(tab => tab.audible).length
+      });
+      
+      await this.sortTabsInEachWindow(tabs, ['audible']);
+    } catch (error) {
+      debugLogger.error('Error sorting tabs by audible:', error);
+      throw new Error('Failed to sort tabs by audible');
+    }
+  }
+
+  /**
+   * Sort all tabs by several keys, e.g. group, then domain, then title descending
+   * @param {Array<string|Object>} sortKeys - Keys in priority order, see normalizeSortKeys
+   * @returns {Promise<void>}
+   */
+  async sortByKeys(sortKeys) {
+    try {
+      debugLogger.log('Starting sort by keys', { sortKeys });
+      
+      const tabs = await this.getAllTabs();
+      debugLogger.log('Retrieved tabs for sorting by keys', { count: tabs.length });
       
-      if (hasGroupedTabs) {
-        // Sort tabs within their groups
-        await this.sortTabsWithinGroups(tabs, 'url');
+      await this.sortTabsInEachWindow(tabs, sortKeys);
+    } catch (error) {
+      debugLogger.error('Error sorting tabs by keys:', error);
+      throw new Error(`Failed to sort tabs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load how groups are arranged when sorting from storage
+   * @returns {Promise<Object>} - {groupOrder, ungroupedPosition, categories}, see DEFAULT_GROUP_SORT
+   */
+  static async loadGroupSort() {
+    try {
+      const settings = await chrome.storage.sync.get(['sortGroupOrder', 'sortUngroupedPosition', 'tabSorterCategories']);
+      return {
+        groupOrder: GROUP_ORDERS[settings.sortGroupOrder] ? settings.sortGroupOrder : DEFAULT_GROUP_SORT.groupOrder,
+        ungroupedPosition: SORT_UNGROUPED_POSITIONS[settings.sortUngroupedPosition]
+          ? settings.sortUngroupedPosition
+          : DEFAULT_GROUP_SORT.ungroupedPosition,
+        // Needed for the category list group order
+        categories: settings.tabSorterCategories || []
+      };
+    } catch (error) {
+      debugLogger.error('Error loading group sort settings:', error);
+      return { ...DEFAULT_GROUP_SORT, categories: [] };
+    }
+  }
+
+  /**
+   * Sort tabs separately in each window they are in
+   * @param {Array} tabs - Array of tab objects, possibly from several windows
+   * @param {Array<string|Object>} sortKeys - Keys in priority order, see normalizeSortKeys
+   * @returns {Promise<void>}
+   */
+  async sortTabsInEachWindow(tabs, sortKeys) {
+    const keys = TabSorter.normalizeSortKeys(sortKeys);
+    const groupSort = await TabSorter.loadGroupSort();
+    
+    const tabsByWindow = new Map();
+    for (const tab of tabs) {
+      if (!tabsByWindow.has(tab.windowId)) {
+        tabsByWindow.set(tab.windowId, []);
+      }
+      tabsByWindow.get(tab.windowId).push(tab);
+    }
+    
+    // Groups are placed by their first tab, which may be outside the sorted
+    // scope, so the context covers every grouped tab of windows with groups
+    const contextTabs = [...tabs];
+    const sortedTabIds = new Set(tabs.map(tab => tab.id));
+    for (const [windowId, windowTabs] of tabsByWindow) {
+      if (!TabSorter.hasGroupedTabs(windowTabs)) continue;
+      
+      const groupedTabs = (await chrome.tabs.query({ windowId }))
+        .filter(tab => tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && !sortedTabIds.has(tab.id));
+      contextTabs.push(...groupedTabs);
+    }
+    const compare = TabSorter.buildComparator(keys, await this.loadSortContext(contextTabs, keys));
+    
+    for (const windowTabs of tabsByWindow.values()) {
+      if (TabSorter.hasGroupedTabs(windowTabs)) {
+        // Sort tabs within their groups, then the groups themselves
+        await this.sortTabsWithinGroups(windowTabs, compare, groupSort);
       } else {
-        // Sort all tabs normally
-        const sortedTabs = this.sortTabsByProperty(tabs, 'url');
-        debugLogger.log('Tabs sorted by URL');
+        // Sort the tabs in place
+        const sortedTabs = [...windowTabs].sort(compare);
+        debugLogger.log('Tabs sorted', { windowId: windowTabs[0].windowId, keys });
         await this.reorderTabs(sortedTabs);
       }
-    } catch (error) {
-      debugLogger.error('Error sorting tabs by URL:', error);
-      throw new Error('Failed to sort tabs by URL');
     }
   }
 
   /**
-   * Sort tabs within their respective groups
+   * Check whether any of the tabs is in a group
    * @param {Array} tabs - Array of tab objects
-   * @param {string} property - Property to sort by (title or url)
+   * @returns {boolean}
+   */
+  static hasGroupedTabs(tabs) {
+    return tabs.some(tab => 
+      tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && tab.groupId !== -1
+    );
+  }
+
+  /**
+   * Sort tabs within their respective groups, then arrange the groups and the
+   * ungrouped tabs
+   * @param {Array} tabs - Array of tab objects from one window
+   * @param {Function} compare - Comparator from buildComparator
+   * @param {Object} [groupSort] - Group order and ungrouped tab position, from loadGroupSort
    * @returns {Promise<void>}
    */
-  async sortTabsWithinGroups(tabs, property) {
+  async sortTabsWithinGroups(tabs, compare, groupSort = { ...DEFAULT_GROUP_SORT, categories: [] }) {
     try {
-      debugLogger.log(`Sorting tabs within groups by ${property}`);
+      debugLogger.log('Sorting tabs within groups');
       
       // First, get all tab groups
       const groups = await new Promise((resolve, reject) => {
-        chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT }, (groups) => {
+        chrome.tabGroups.query({ windowId: tabs[0].windowId }, (groups) => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
           } else {
@@ -99,6 +303,10 @@ export class TabSorter {
       
       debugLogger.log('Found tab groups', { count: groups.length });
       
+      // Whole groups move, so their tabs outside the sorted scope count too
+      const windowTabs = await chrome.tabs.query({ windowId: tabs[0].windowId });
+      const groupLeaders = new Map();
+      
       // For each group, get its tabs and sort them
       for (const group of groups) {
         // Get all tabs in this group
@@ -109,51 +317,47 @@ export class TabSorter {
         }
         
         // Sort the tabs within this group
-        const sortedGroupTabs = this.sortTabsByProperty(groupTabs, property);
-        
-        // Get the current index range of the group
-        const groupStartIndex = Math.min(...groupTabs.map(t => t.index));
+        const sortedGroupTabs = [...groupTabs].sort(compare);
+        groupLeaders.set(group.id, sortedGroupTabs[0]);
         
         debugLogger.log(`Sorting group ${group.id} (${group.title || 'Untitled'})`, {
-          tabCount: sortedGroupTabs.length,
-          startIndex: groupStartIndex
+          tabCount: sortedGroupTabs.length
         });
         
-        // Move each tab to its new position within the group's range
-        for (let i = 0; i < sortedGroupTabs.length; i++) {
-          const tab = sortedGroupTabs[i];
-          const newIndex = groupStartIndex + i;
-          if (tab.index !== newIndex) {
-            await this.moveTabToIndex(tab.id, newIndex);
-          }
+        // Tabs only move next to other tabs of the group, so they stay in it
+        await this.reorderTabs(sortedGroupTabs);
+      }
+      
+      // Groups without sorted tabs are compared by their first tab
+      for (const tab of windowTabs) {
+        if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && !groupLeaders.has(tab.groupId)) {
+          groupLeaders.set(tab.groupId, tab);
         }
       }
       
-      // Handle ungrouped tabs separately
+      const orderedGroups = groupSort.groupOrder === 'none'
+        ? GroupLayout.getGroupsInStripOrder(groups, windowTabs)
+        : GroupLayout.sortGroups(groups, windowTabs, groupSort.groupOrder, groupSort.categories);
+      
       const ungroupedTabs = tabs.filter(tab => 
         tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE || tab.groupId === -1
       );
+      const sortedUngroupedTabs = [...ungroupedTabs].sort(compare);
       
-      if (ungroupedTabs.length > 0) {
-        const sortedUngroupedTabs = this.sortTabsByProperty(ungroupedTabs, property);
-        debugLogger.log('Sorting ungrouped tabs', { tabCount: sortedUngroupedTabs.length });
-        
-        // Find the index after all groups
-        const lastGroupTab = tabs.filter(tab => 
-          tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && tab.groupId !== -1
-        ).sort((a, b) => b.index - a.index)[0];
-        
-        const startIndex = lastGroupTab ? lastGroupTab.index + 1 : 0;
-        
-        // Move ungrouped tabs to their new positions
-        for (let i = 0; i < sortedUngroupedTabs.length; i++) {
-          const tab = sortedUngroupedTabs[i];
-          const newIndex = startIndex + i;
-          if (tab.index !== newIndex) {
-            await this.moveTabToIndex(tab.id, newIndex);
-          }
-        }
-      }
+      const units = TabSorter.arrangeGroups(orderedGroups, groupLeaders, sortedUngroupedTabs, groupSort.ungroupedPosition, compare);
+      debugLogger.log('Arranging groups and ungrouped tabs', {
+        groupOrder: groupSort.groupOrder,
+        ungroupedPosition: groupSort.ungroupedPosition,
+        groupCount: orderedGroups.length,
+        ungroupedCount: sortedUngroupedTabs.length
+      });
+      
+      // The arranged block starts where the first of its tabs is
+      const startIndex = Math.min(
+        ...tabs.map(tab => tab.index),
+        ...windowTabs.filter(tab => tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE).map(tab => tab.index)
+      );
+      await this.moveUnits(units, windowTabs, startIndex);
       
       debugLogger.log('Tab sorting within groups completed');
     } catch (error) {
@@ -162,6 +366,67 @@ export class TabSorter {
     }
   }
 
+  /**
+   * Put groups and ungrouped tabs in one sequence
+   * Interleaved ungrouped tabs go before the first group whose first tab
+   * they sort before
+   * @param {Array} orderedGroups - Tab groups in their new order
+   * @param {Map<number, Object>} groupLeaders - First tab of each group after sorting
+   * @param {Array} sortedUngroupedTabs - Ungrouped tabs in their new order
+   * @param {string} ungroupedPosition - Key of SORT_UNGROUPED_POSITIONS
+   * @param {Function} compare - Comparator from buildComparator
+   * @returns {Array<Object>} - Units in strip order, each {group} or {tab}
+   */
+  static arrangeGroups(orderedGroups, groupLeaders, sortedUngroupedTabs, ungroupedPosition, compare) {
+    const groupUnits = orderedGroups.map(group => ({ group }));
+    const tabUnits = sortedUngroupedTabs.map(tab => ({ tab }));
+    
+    if (ungroupedPosition === 'start') {
+      return [...tabUnits, ...groupUnits];
+    }
+    if (ungroupedPosition !== 'interleaved') {
+      return [...groupUnits, ...tabUnits];
+    }
+    
+    const units = [];
+    let next = 0;
+    for (const unit of groupUnits) {
+      const leader = groupLeaders.get(unit.group.id);
+      while (next < tabUnits.length && leader && compare(tabUnits[next].tab, leader) < 0) {
+        units.push(tabUnits[next++]);
+      }
+      units.push(unit);
+    }
+    return [...units, ...tabUnits.slice(next)];
+  }
+
+  /**
+   * Move groups and ungrouped tabs into place one after the other
+   * Each unit is moved to the end of the units already placed, so units still
+   * to be placed are always to the right and only ever move left
+   * @param {Array<Object>} units - Units from arrangeGroups
+   * @param {Array} windowTabs - All tabs of the window, before anything moves
+   * @param {number} startIndex - Index of the first unit
+   * @returns {Promise<void>}
+   */
+  async moveUnits(units, windowTabs, startIndex) {
+    const groupSizes = new Map();
+    for (const tab of windowTabs) {
+      groupSizes.set(tab.groupId, (groupSizes.get(tab.groupId) || 0) + 1);
+    }
+    
+    let index = startIndex;
+    for (const unit of units) {
+      if (unit.group) {
+        await chrome.tabGroups.move(unit.group.id, { index });
+        index += groupSizes.get(unit.group.id) || 0;
+      } else {
+        await this.moveTabToIndex(unit.tab.id, index);
+        index++;
+      }
+    }
+  }
+
   /**
    * Move a tab to a specific index
    * @param {number} tabId - ID of the tab to move
@@ -183,12 +448,12 @@ export class TabSorter {
   }
 
   /**
-   * Get all tabs from the current window
+   * Get all tabs in the scope being sorted
    * @returns {Promise<Array>} - Array of tab objects
    */
   async getAllTabs() {
     return new Promise((resolve, reject) => {
-      chrome.tabs.query({ currentWindow: true }, (tabs) => {
+      chrome.tabs.query(this.tabStateManager.getScopeQuery(), (tabs) => {
         if (chrome.runtime.lastError) {
           debugLogger.error('Error querying tabs:', chrome.runtime.lastError);
           reject(new Error(chrome.runtime.lastError.message));
@@ -211,47 +476,314 @@ export class TabSorter {
   }
 
   /**
-   * Sort tabs by a specific property
-   * @param {Array} tabs - Array of tab objects
-   * @param {string} property - Property to sort by (title or url)
-   * @returns {Array} - Sorted array of tab objects
+   * Check sort keys and fill in default directions
+   * @param {Array<string|Object>} sortKeys - Key names, or {key, direction} objects
+   * @returns {Array<Object>} - Keys as {key, direction}
+   * @throws {Error} - If there are no keys, or a key or direction is unknown
    */
-  sortTabsByProperty(tabs, property) {
-    return [...tabs].sort((a, b) => {
-      const valueA = a[property].toLowerCase();
-      const valueB = b[property].toLowerCase();
-      return valueA.localeCompare(valueB);
+  static normalizeSortKeys(sortKeys) {
+    if (!Array.isArray(sortKeys) || sortKeys.length === 0) {
+      throw new Error('Choose at least one sort key');
+    }
+    
+    return sortKeys.map(sortKey => {
+      const { key, direction } = typeof sortKey === 'string' ? { key: sortKey } : sortKey;
+      
+      if (!SORT_KEYS[key]) {
+        throw new Error(`Unknown sort key: ${key}`);
+      }
+      if (direction !== undefined && direction !== 'asc' && direction !== 'desc') {
+        throw new Error(`Unknown sort direction: ${direction}`);
+      }
+      return { key, direction: direction || SORT_KEYS[key].direction };
     });
   }
 
   /**
-   * Reorder tabs according to the sorted array
-   * @param {Array} sortedTabs - Sorted array of tab objects
+   * Build a comparator that compares tabs by each key in turn
+   * Tabs equal on every key keep their current order, since the sort is stable
+   * @param {Array<Object>} sortKeys - Keys from normalizeSortKeys
+   * @param {Object} context - Lookups from loadSortContext
+   * @returns {Function} - Comparator for Array.prototype.sort
+   */
+  static buildComparator(sortKeys, context) {
+    const comparators = sortKeys.map(({ key, direction }) => {
+      const compare = KEY_COMPARATORS[key];
+      return direction === 'desc'
+        ? (a, b) => compare(b, a, context)
+        : (a, b) => compare(a, b, context);
+    });
+    
+    return (a, b) => {
+      for (const compare of comparators) {
+        const result = compare(a, b);
+        if (result !== 0) return result;
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * Look up what the keys need beyond the tab itself, once per sort
+   * @param {Array} tabs - Tabs being sorted
+   * @param {Array<Object>} sortKeys - Keys from normalizeSortKeys
+   * @returns {Promise<Object>} - {urls, creationTimes, categories, groupPositions, titles, collator}
+   */
+  async loadSortContext(tabs, sortKeys) {
+    const keys = new Set(sortKeys.map(sortKey => sortKey.key));
+    const context = {
+      urls: new Map(),
+      creationTimes: new Map(),
+      categories: new Map(),
+      groupPositions: new Map(),
+      titles: new Map(),
+      collator: null
+    };
+    
+    if (keys.has('title') && await TitleNormalizer.loadMode() === 'natural') {
+      tabs.forEach(tab => context.titles.set(tab.id, TitleNormalizer.normalize(tab.title, tab.url)));
+      context.collator = TitleNormalizer.createCollator();
+    }
+    if (keys.has('domain') || keys.has('path')) {
+      tabs.forEach(tab => context.urls.set(tab.id, DomainParser.parse(tab.url)));
+    }
+    if (keys.has('created')) {
+      context.creationTimes = await new TabCreationTracker().load();
+    }
+    if (keys.has('category')) {
+      context.categories = await this.getCategories(tabs);
+    }
+    if (keys.has('group')) {
+      // Groups are ordered by where they start in the tab strip
+      for (const tab of tabs) {
+        if (tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) continue;
+        context.groupPositions.set(tab.groupId, Math.min(context.groupPositions.get(tab.groupId) ?? tab.index, tab.index));
+      }
+    }
+    
+    return context;
+  }
+
+  /**
+   * Get the category of each tab: its group's title, or the local classifier's
+   * guess for ungrouped tabs
+   * @param {Array} tabs - Tabs
+   * @param {Array<string>} [ignoredGroupTitles] - Group titles that are not categories
+   * @returns {Promise<Map<number, string>>} - Category by tab ID
+   */
+  async getCategories(tabs, ignoredGroupTitles = []) {
+    const groups = await chrome.tabGroups.query({});
+    const groupTitles = new Map(groups.map(group => [group.id, (group.title || '').trim()]));
+    const categories = new Map();
+    
+    for (const tab of tabs) {
+      let category = groupTitles.get(tab.groupId);
+      
+      if (!category || ignoredGroupTitles.includes(category)) {
+        try {
+          const response = await this.sendMessage({ action: 'simulateFallback', title: tab.title, url: tab.url });
+          category = response?.category;
+        } catch (error) {
+          debugLogger.warn(`Could not classify tab ${tab.id}:`, error);
+        }
+      }
+      
+      categories.set(tab.id, category || 'Misc');
+    }
+    
+    return categories;
+  }
+
+  /**
+   * Reorder tabs according to the sorted array with as few moves as possible
+   * Tabs already in sorted order relative to each other stay put, the others
+   * are moved next to their sorted neighbours in batches. Tabs that are not
+   * being sorted keep their place.
+   * @param {Array} sortedTabs - Sorted array of tab objects from one window
    * @returns {Promise<void>}
+   * @throws {Error} - If the tabs are still out of order after a retry
    */
   async reorderTabs(sortedTabs) {
-    debugLogger.log('Starting tab reordering', { tabCount: sortedTabs.length });
+    const windowId = sortedTabs[0].windowId;
+    const targetIds = sortedTabs.map(tab => tab.id);
     
-    const movePromises = sortedTabs.map((tab, index) => {
-      return new Promise((resolve, reject) => {
-        chrome.tabs.move(tab.id, { index }, () => {
-          if (chrome.runtime.lastError) {
-            debugLogger.error(`Error moving tab ${tab.id} to index ${index}:`, chrome.runtime.lastError);
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            debugLogger.log(`Moved tab ${tab.id} to index ${index}`);
-            resolve();
-          }
-        });
+    // Tabs moved or closed by the user while sorting can throw the plan off,
+    // so the result is checked and the plan made again from the new order
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const moves = TabSorter.planMoves(await this.getTabIdsInStripOrder(windowId), targetIds);
+      debugLogger.log('Starting tab reordering', {
+        tabCount: targetIds.length,
+        moveCount: moves.length,
+        movedTabCount: moves.reduce((count, move) => count + move.tabIds.length, 0),
+        attempt
       });
-    });
+      
+      try {
+        for (const move of moves) {
+          await chrome.tabs.move(move.tabIds, { index: move.index });
+        }
+      } catch (error) {
+        debugLogger.error('Error during tab reordering:', error);
+        throw error;
+      }
+      
+      if (TabSorter.isInOrder(await this.getTabIdsInStripOrder(windowId), targetIds)) {
+        debugLogger.log('Tab reordering completed successfully');
+        return;
+      }
+      debugLogger.warn('Tabs are not in sorted order after reordering', { attempt });
+    }
+    
+    throw new Error('Tabs could not be put in sorted order');
+  }
 
-    try {
-      await Promise.all(movePromises);
-      debugLogger.log('Tab reordering completed successfully');
-    } catch (error) {
-      debugLogger.error('Error during tab reordering:', error);
-      throw error;
+  /**
+   * Get the IDs of a window's tabs in tab strip order
+   * @param {number} windowId - Window ID
+   * @returns {Promise<Array<number>>}
+   */
+  async getTabIdsInStripOrder(windowId) {
+    const tabs = await chrome.tabs.query({ windowId });
+    return tabs.sort((a, b) => a.index - b.index).map(tab => tab.id);
+  }
+
+  /**
+   * Check whether tabs appear in the strip in the sorted order
+   * @param {Array<number>} currentIds - Tab IDs in strip order
+   * @param {Array<number>} targetIds - Sorted tab IDs
+   * @returns {boolean}
+   */
+  static isInOrder(currentIds, targetIds) {
+    const targets = new Set(targetIds);
+    const present = new Set(currentIds);
+    const current = currentIds.filter(id => targets.has(id));
+    const expected = targetIds.filter(id => present.has(id));
+    return current.every((id, position) => id === expected[position]);
+  }
+
+  /**
+   * Find the positions of the longest increasing subsequence
+   * @param {Array<number>} values - Distinct numbers
+   * @returns {Set<number>} - Values that are part of the subsequence
+   */
+  static longestIncreasingSubsequence(values) {
+    // tails[k]: position of the smallest value ending an increasing run of length k + 1
+    const tails = [];
+    const previous = new Array(values.length);
+    
+    values.forEach((value, position) => {
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (values[tails[middle]] < value) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      previous[position] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = position;
+    });
+    
+    const result = new Set();
+    for (let position = tails.length > 0 ? tails[tails.length - 1] : -1; position !== -1; position = previous[position]) {
+      result.add(values[position]);
     }
+    return result;
+  }
+
+  /**
+   * Plan the chrome.tabs.move calls that put tabs in sorted order
+   * The longest run of tabs already in order stays in place. Every other tab
+   * goes right after the tab sorted before it, or right before the first
+   * tab that stays if nothing is sorted before it. Consecutive tabs are moved
+   * in one call when the simulated strip shows that keeps them together,
+   * since chrome.tabs.move places an array one tab at a time at index,
+   * index + 1, and so on.
+   * @param {Array<number>} currentIds - IDs of all tabs of the window in strip order
+   * @param {Array<number>} targetIds - IDs of the sorted tabs in sorted order
+   * @returns {Array<Object>} - Moves ({tabIds, index}) to make one after the other
+   */
+  static planMoves(currentIds, targetIds) {
+    const present = new Set(currentIds);
+    const target = targetIds.filter(id => present.has(id));
+    const ranks = new Map(target.map((id, rank) => [id, rank]));
+    const currentRanks = currentIds.filter(id => ranks.has(id)).map(id => ranks.get(id));
+    
+    // Several runs can be equally long. The one found from the right keeps
+    // the leftmost tabs, which lets a reversed strip move in a single call.
+    const fromLeft = TabSorter.longestIncreasingSubsequence(currentRanks);
+    const fromRight = new Set([...TabSorter.longestIncreasingSubsequence(currentRanks.map(rank => -rank).reverse())]
+      .map(rank => -rank));
+    
+    const plans = [fromLeft, fromRight].map(kept => TabSorter.planMovesKeeping(currentIds, target, kept));
+    return plans[0].length <= plans[1].length ? plans[0] : plans[1];
+  }
+
+  /**
+   * Plan the moves for planMoves, keeping the given tabs in place
+   * @param {Array<number>} currentIds - IDs of all tabs of the window in strip order
+   * @param {Array<number>} target - IDs of the sorted tabs that are open, in sorted order
+   * @param {Set<number>} kept - Positions in target of the tabs that stay in place
+   * @returns {Array<Object>} - Moves ({tabIds, index})
+   */
+  static planMovesKeeping(currentIds, target, kept) {
+    // Simulate the strip so each move is planned against the order it will meet
+    const strip = [...currentIds];
+    const firstKept = target.find((id, rank) => kept.has(rank));
+    const moves = [];
+    let batch = null;
+    
+    // A batch fits when its tabs end up together between its neighbours
+    const fits = (tabIds, index, rank) => {
+      const result = [...strip];
+      TabSorter.applyMove(result, tabIds, index);
+      const neighbourFits = rank > 0
+        ? result[index - 1] === target[rank - 1]
+        : result[index + tabIds.length] === firstKept;
+      return neighbourFits && tabIds.every((id, offset) => result[index + offset] === id);
+    };
+    
+    const flush = () => {
+      if (!batch) return;
+      TabSorter.applyMove(strip, batch.tabIds, batch.index);
+      moves.push(batch);
+      batch = null;
+    };
+    
+    target.forEach((id, rank) => {
+      if (kept.has(rank)) {
+        flush();
+        return;
+      }
+      
+      if (batch && fits([...batch.tabIds, id], batch.index, batch.rank)) {
+        batch.tabIds.push(id);
+        return;
+      }
+      flush();
+      
+      // Where the tab goes once it is taken out of the strip
+      const rest = strip.filter(tabId => tabId !== id);
+      const index = rank > 0 ? rest.indexOf(target[rank - 1]) + 1 : rest.indexOf(firstKept);
+      batch = { tabIds: [id], index, rank };
+    });
+    flush();
+    
+    return moves.map(({ tabIds, index }) => ({ tabIds, index }));
+  }
+
+  /**
+   * Apply a chrome.tabs.move call to a simulated strip
+   * @param {Array<number>} strip - Tab IDs in strip order, changed in place
+   * @param {Array<number>} tabIds - Tabs moved, in order
+   * @param {number} index - Index given to chrome.tabs.move
+   */
+  static applyMove(strip, tabIds, index) {
+    tabIds.forEach((id, offset) => {
+      strip.splice(strip.indexOf(id), 1);
+      strip.splice(index + offset, 0, id);
+    });
   }
-}
\ No newline at end of file
+}
@@ -1,11 +1,103 @@
 /**
  * Manages tab state for undo functionality
+ * The saved state is kept in chrome.storage.session so undo survives the
+ * service worker being suspended
  */
 import debugLogger from './debugLogger.js';
 
+// Which tabs an operation works on
+export const TAB_SCOPES = {
+  currentWindow: 'This window',
+  allWindows: 'All windows',
+  highlighted: 'Selected tabs'
+};
+
+// Undo states of operations that reach beyond one window are kept under this key,
+// so the popup of every window can undo them
+const SHARED_STATE_KEY = 'allWindows';
+
 export class TabStateManager {
-  constructor() {
+  /**
+   * @param {number} [windowId] - Window the operation was started from; undo states of operations
+   *   within one window are kept under this ID
+   * @param {string} [scope] - Key of TAB_SCOPES
+   * @param {string} [layout] - Window layout of an organize operation; any but groups moves tabs between windows
+   */
+  constructor(windowId = chrome.windows.WINDOW_ID_CURRENT, scope = 'currentWindow', layout = 'groups') {
+    this.windowId = windowId;
+    this.scope = TAB_SCOPES[scope] ? scope : 'currentWindow';
+    this.spansWindows = this.scope === 'allWindows' || layout !== 'groups';
     this.previousState = null;
+    // Key of the loaded or saved state: the window ID, or SHARED_STATE_KEY
+    this.stateKey = this.spansWindows ? SHARED_STATE_KEY : windowId;
+    this.storageKey = 'tabGeniusUndoState';
+  }
+
+  /**
+   * Get the tabs.query filter for the tabs in scope
+   * @returns {Object} - Query info
+   */
+  getScopeQuery() {
+    switch (this.scope) {
+      case 'allWindows':
+        return { windowType: 'normal' };
+      case 'highlighted':
+        return { windowId: this.windowId, highlighted: true };
+      default:
+        return { windowId: this.windowId };
+    }
+  }
+
+  /**
+   * Get the tabs.query filter for the tabs saved for undo
+   * Selected tabs save their whole window, since sorting them shifts the other tabs
+   * @returns {Object} - Query info
+   */
+  getSnapshotQuery() {
+    return this.scope === 'allWindows' ? { windowType: 'normal' } : { windowId: this.windowId };
+  }
+
+  /**
+   * Load the saved state for this window from session storage
+   * This is the newer of the window's own state and the state of the last operation
+   * that reached beyond one window
+   * @returns {Promise<void>}
+   */
+  async loadState() {
+    try {
+      const result = await chrome.storage.session.get(this.storageKey);
+      const states = result[this.storageKey] || {};
+      const ownState = states[this.windowId] || null;
+      const sharedState = states[SHARED_STATE_KEY] || null;
+      
+      this.stateKey = sharedState && (!ownState || sharedState.timestamp > ownState.timestamp)
+        ? SHARED_STATE_KEY
+        : this.windowId;
+      this.previousState = states[this.stateKey] || null;
+    } catch (error) {
+      debugLogger.warn('Could not load saved tab state:', error);
+    }
+  }
+
+  /**
+   * Write the saved state to session storage, under this window or the shared key
+   * @returns {Promise<void>}
+   */
+  async persistState() {
+    try {
+      const result = await chrome.storage.session.get(this.storageKey);
+      const states = result[this.storageKey] || {};
+      
+      if (this.previousState) {
+        states[this.stateKey] = this.previousState;
+      } else {
+        delete states[this.stateKey];
+      }
+      
+      await chrome.storage.session.set({ [this.storageKey]: states });
+    } catch (error) {
+      debugLogger.warn('Could not persist tab state:', error);
+    }
   }
 
   /**
@@ -14,12 +106,12 @@ export class TabStateManager {
    */
   async saveCurrentState() {
     try {
-      debugLogger.log('Saving current tab state');
-      const tabs = await this.getAllTabs();
+      debugLogger.log('Saving current tab state', { scope: this.scope });
+      const tabs = await chrome.tabs.query(this.getSnapshotQuery());
       
       // Get all tab groups
       const groups = await new Promise((resolve, reject) => {
-        chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT }, (groups) => {
+        chrome.tabGroups.query(this.scope === 'allWindows' ? {} : { windowId: this.windowId }, (groups) => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
           } else {
@@ -42,6 +134,7 @@ export class TabStateManager {
         timestamp: Date.now(),
         tabs: tabs.map(tab => ({
           id: tab.id,
+          windowId: tab.windowId,
           index: tab.index,
           url: tab.url,
           title: tab.title,
@@ -57,6 +150,8 @@ export class TabStateManager {
       });
       
       this.previousState = tabState;
+      this.stateKey = this.spansWindows ? SHARED_STATE_KEY : this.windowId;
+      await this.persistState();
       console.log('Tab state saved:', tabState);
       
       return true;
@@ -66,6 +161,18 @@ export class TabStateManager {
     }
   }
 
+  /**
+   * Mark saved tabs as closed by the operation, so undo reopens them
+   * @param {Array<number>} tabIds - IDs of saved tabs that are about to be closed
+   * @returns {Promise<void>}
+   */
+  async recordClosedTabs(tabIds) {
+    if (!this.previousState) return;
+    
+    this.previousState.closedTabIds = tabIds;
+    await this.persistState();
+  }
+
   /**
    * Check if there's a previous state to restore
    * @returns {boolean}
@@ -86,25 +193,40 @@ export class TabStateManager {
     try {
       const previousState = this.previousState;
       
-      // First, get current tabs to check which ones still exist
-      const currentTabs = await this.getAllTabs();
+      // Tabs the operation closed, such as duplicates, are opened again under new IDs
+      const reopenedTabIds = await this.reopenClosedTabs(previousState);
+      const savedTabs = previousState.tabs.map(tab =>
+        reopenedTabIds.has(tab.id) ? { ...tab, id: reopenedTabIds.get(tab.id) } : tab
+      );
+      
+      // First, get current tabs to check which ones still exist; they may be in other windows by now
+      const currentTabs = await chrome.tabs.query({});
       const currentTabIds = new Set(currentTabs.map(tab => tab.id));
       
       // Filter out tabs that no longer exist
-      const validTabs = previousState.tabs.filter(tab => currentTabIds.has(tab.id));
+      const validTabs = savedTabs.filter(tab => currentTabIds.has(tab.id));
       
       if (validTabs.length === 0) {
         debugLogger.log('No valid tabs to restore');
         return false;
       }
       
-      // First, ungroup all tabs that are currently in groups
-      await this.ungroupAllTabs();
+      // First, ungroup the saved tabs that are currently in groups
+      const validTabIds = new Set(validTabs.map(tab => tab.id));
+      const groupedTabIds = currentTabs
+        .filter(tab => validTabIds.has(tab.id) && tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE)
+        .map(tab => tab.id);
+      if (groupedTabIds.length > 0) {
+        await chrome.tabs.ungroup(groupedTabIds);
+      }
       
-      // Then reorder tabs to match previous state
+      // Windows that were closed since, e.g. emptied by a layout, are opened again
+      const windowIds = await this.restoreWindows(validTabs);
+      
+      // Then move tabs back to their windows in their previous order
       for (const tab of validTabs) {
         try {
-          await this.moveTabToIndex(tab.id, tab.index);
+          await this.moveTabToIndex(tab.id, tab.index, windowIds.get(tab.windowId));
         } catch (error) {
           debugLogger.warn(`Could not move tab ${tab.id} to index ${tab.index}:`, error);
         }
@@ -120,17 +242,17 @@ export class TabStateManager {
         const groupMap = new Map();
         for (const tab of tabsWithGroups) {
           if (!groupMap.has(tab.groupId)) {
-            groupMap.set(tab.groupId, []);
+            groupMap.set(tab.groupId, { windowId: windowIds.get(tab.windowId), tabIds: [] });
           }
-          groupMap.get(tab.groupId).push(tab.id);
+          groupMap.get(tab.groupId).tabIds.push(tab.id);
         }
         
         // Restore each group with its title and color
-        for (const [groupId, tabIds] of groupMap.entries()) {
+        for (const [groupId, { windowId, tabIds }] of groupMap.entries()) {
           try {
             // Only create groups that have at least one tab
             if (tabIds.length > 0) {
-              const newGroupId = await this.createTabGroup(tabIds);
+              const newGroupId = await this.createTabGroup(tabIds, windowId);
               
               // Restore group title and color if available
               if (previousState.groups && previousState.groups[groupId]) {
@@ -151,6 +273,7 @@ export class TabStateManager {
       
       // Clear the previous state after restoring
       this.previousState = null;
+      await this.persistState();
       
       return true;
     } catch (error) {
@@ -160,12 +283,68 @@ export class TabStateManager {
   }
 
   /**
-   * Get all tabs from the current window
+   * Open the tabs an operation closed again
+   * They open at the end of their window, or of the current window if theirs is gone,
+   * and are moved into place with the other tabs
+   * @param {Object} state - Saved state
+   * @returns {Promise<Map>} - Map of saved tab IDs to the IDs of the reopened tabs
+   */
+  async reopenClosedTabs(state) {
+    const reopenedTabIds = new Map();
+    const closedTabIds = new Set(state.closedTabIds || []);
+    
+    for (const tab of state.tabs.filter(savedTab => closedTabIds.has(savedTab.id))) {
+      try {
+        let reopened;
+        try {
+          reopened = await chrome.tabs.create({ windowId: tab.windowId, url: tab.url, active: false });
+        } catch (error) {
+          reopened = await chrome.tabs.create({ url: tab.url, active: false });
+        }
+        reopenedTabIds.set(tab.id, reopened.id);
+      } catch (error) {
+        debugLogger.warn(`Could not reopen tab ${tab.url}:`, error);
+      }
+    }
+    
+    if (reopenedTabIds.size > 0) {
+      debugLogger.log('Reopened closed tabs', { count: reopenedTabIds.size });
+    }
+    return reopenedTabIds;
+  }
+
+  /**
+   * Find the window each saved window's tabs go back to
+   * A saved window that no longer exists is recreated around its first tab
+   * @param {Array} tabs - Saved tabs that still exist, in saved order
+   * @returns {Promise<Map>} - Map of saved window IDs to current window IDs
+   */
+  async restoreWindows(tabs) {
+    const windowIds = new Map();
+    
+    for (const tab of tabs) {
+      if (windowIds.has(tab.windowId)) continue;
+      
+      try {
+        await chrome.windows.get(tab.windowId);
+        windowIds.set(tab.windowId, tab.windowId);
+      } catch (error) {
+        const window = await chrome.windows.create({ tabId: tab.id, focused: false });
+        debugLogger.log(`Recreated window ${tab.windowId} as ${window.id}`);
+        windowIds.set(tab.windowId, window.id);
+      }
+    }
+    
+    return windowIds;
+  }
+
+  /**
+   * Get all tabs in scope
    * @returns {Promise<Array>} - Array of tab objects
    */
   async getAllTabs() {
     return new Promise((resolve, reject) => {
-      chrome.tabs.query({ currentWindow: true }, (tabs) => {
+      chrome.tabs.query(this.getScopeQuery(), (tabs) => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else {
@@ -176,7 +355,7 @@ export class TabStateManager {
   }
 
   /**
-   * Ungroup all tabs in the current window
+   * Ungroup all tabs in scope
    * @returns {Promise<void>}
    */
   async ungroupAllTabs() {
@@ -210,11 +389,12 @@ export class TabStateManager {
    * Move a tab to a specific index
    * @param {number} tabId - ID of the tab to move
    * @param {number} index - Index to move the tab to
+   * @param {number} [windowId] - Window to move the tab to; defaults to the tab's window
    * @returns {Promise<void>}
    */
-  async moveTabToIndex(tabId, index) {
+  async moveTabToIndex(tabId, index, windowId) {
     return new Promise((resolve, reject) => {
-      chrome.tabs.move(tabId, { index }, () => {
+      chrome.tabs.move(tabId, { windowId, index }, () => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else {
@@ -245,11 +425,12 @@ export class TabStateManager {
   /**
    * Create a tab group from a list of tab IDs
    * @param {Array<number>} tabIds - Array of tab IDs to group
+   * @param {number} windowId - Window the tabs are in
    * @returns {Promise<number>} - ID of the created group
    */
-  async createTabGroup(tabIds) {
+  async createTabGroup(tabIds, windowId) {
     return new Promise((resolve, reject) => {
-      chrome.tabs.group({ tabIds }, (groupId) => {
+      chrome.tabs.group({ tabIds, createProperties: { windowId } }, (groupId) => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else {
@@ -0,0 +1,95 @@
+/**
+ * Title Normalizer for Tab Genius extension
+ * Reduces tab titles to the words that describe the page, without unread
+ * counters, leading emoji or the site's name, so tabs sort by what they show
+ */
+import { DomainParser } from './domainParser.js';
+
+// Ways titles can be compared when sorting
+export const TITLE_SORT_MODES = {
+  natural: 'Natural, without counters, emoji and site names',
+  raw: 'Exact title'
+};
+
+export const DEFAULT_TITLE_SORT_MODE = 'natural';
+
+// Unread counters in front of a title: "(3) Inbox", "[12] Chat", "(99+) Feed"
+const LEADING_COUNTER = /^[([]\s*\d+\+?\s*[)\]]\s*/;
+
+// Emoji, symbols and the joiners and modifiers emoji are built from
+const LEADING_SYMBOLS = /^[\p{Extended_Pictographic}\p{So}\p{Regional_Indicator}\u{1F3FB}-\u{1F3FF}\uFE0F\u200D\u20E3\s]+/u;
+
+// The last " - ", " | ", " – ", " — ", " · " or " • " and what follows it
+const TRAILING_SUFFIX = /^(.*\S)\s+[-|–—·•]\s+(.+)$/;
+
+export class TitleNormalizer {
+  /**
+   * Normalize a title for sorting
+   * @param {string} title - Tab title
+   * @param {string} [url] - Tab URL, to recognize the site's name at the end
+   * @returns {string} - Normalized title; titles that would end up empty are returned trimmed
+   */
+  static normalize(title, url = '') {
+    const original = (title || '').trim();
+    let text = original;
+    let previous;
+    
+    // Counters and emoji can come in either order, e.g. "🔴 (3) Chat"
+    do {
+      previous = text;
+      text = text.replace(LEADING_COUNTER, '').replace(LEADING_SYMBOLS, '');
+    } while (text !== previous);
+    
+    // Titles like "Issue · org/repo · GitHub" name the site more than once
+    const siteLabels = TitleNormalizer.getSiteLabels(url);
+    let match = text.match(TRAILING_SUFFIX);
+    while (match && TitleNormalizer.isSiteName(match[2], siteLabels)) {
+      text = match[1];
+      match = text.match(TRAILING_SUFFIX);
+    }
+    
+    return text.trim() || original;
+  }
+
+  /**
+   * Get the host labels a site's name is likely to contain
+   * @param {string} url - Tab URL
+   * @returns {Array<string>} - E.g. ["google", "docs"] for docs.google.com
+   */
+  static getSiteLabels(url) {
+    const parsed = DomainParser.parse(url);
+    if (!parsed) return [];
+    
+    const labels = [parsed.domain.split('.')[0], ...parsed.subdomain.split('.')];
+    return labels.filter(label => label.length >= 3);
+  }
+
+  /**
+   * Check whether a title suffix is the site's name, e.g. "Google Docs" on docs.google.com
+   * @param {string} suffix - Text after the last separator
+   * @param {Array<string>} siteLabels - Labels from getSiteLabels
+   * @returns {boolean}
+   */
+  static isSiteName(suffix, siteLabels) {
+    const compact = suffix.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    return compact.length > 0 && siteLabels.some(label => compact.includes(label));
+  }
+
+  /**
+   * Create the collator natural title sorting compares with
+   * Numbers compare by value and case and accents are ignored, in the user's locale
+   * @returns {Intl.Collator}
+   */
+  static createCollator() {
+    return new Intl.Collator(navigator.language, { numeric: true, sensitivity: 'base' });
+  }
+
+  /**
+   * Load the title sort mode from storage
+   * @returns {Promise<string>} - Key of TITLE_SORT_MODES
+   */
+  static async loadMode() {
+    const settings = await chrome.storage.sync.get('titleSortMode');
+    return TITLE_SORT_MODES[settings.titleSortMode] ? settings.titleSortMode : DEFAULT_TITLE_SORT_MODE;
+  }
+}
@@ -6,14 +6,34 @@ export class UIManager {
   constructor() {
     this.categoryManagerSection = null;
     this.notificationsEnabled = true;
+    // Buttons that start a tab operation and are disabled while one runs
+    this.actionButtonIds = [
+      'sortByTitle',
+      'sortByDomain',
+      'sortByLastAccessed',
+      'sortByCreation',
+      'sortByAudible',
+      'sortByPreset',
+      'findDuplicates',
+      'findStaleTabs',
+      'organizeByContent',
+      'previewOrganize',
+      'organizeBySimilarity',
+      'ungroupAllTabs'
+    ];
+    // Progress of the current organize run
+    this.progressTotal = 0;
+    this.progressDone = new Set();
   }
 
   /**
    * Initialize UI components
    */
   init() {
-    // Initialize Ollama options visibility
-    this.toggleOllamaOptions(document.getElementById('model-select').value === 'ollama');
+    // Initialize model options visibility
+    const modelType = document.getElementById('model-select').value;
+    this.toggleOllamaOptions(modelType === 'ollama');
+    this.toggleOpenAIOptions(modelType === 'openai');
     
     // Initialize notifications checkbox
     this.initNotificationsCheckbox();
@@ -170,6 +190,19 @@ export class UIManager {
     }
   }
 
+  /**
+   * Toggle visibility of OpenAI-compatible options
+   * @param {boolean} show - Whether to show OpenAI-compatible options
+   */
+  toggleOpenAIOptions(show) {
+    const openaiOptions = document.getElementById('openai-options');
+    if (show) {
+      openaiOptions.classList.remove('hidden');
+    } else {
+      openaiOptions.classList.add('hidden');
+    }
+  }
+
   /**
    * Toggle visibility of category manager section
    * @deprecated This method is no longer used as the category manager is now always visible
@@ -191,6 +224,132 @@ export class UIManager {
     }
   }
 
+  /**
+   * Set enabled state for all tab operation buttons
+   * @param {boolean} enabled - Whether the buttons should be enabled
+   */
+  setActionButtonsEnabled(enabled) {
+    this.actionButtonIds.forEach(buttonId => this.setButtonEnabled(buttonId, enabled));
+  }
+
+  /**
+   * Reset and show the progress section for an organize run
+   */
+  startProgress() {
+    this.progressTotal = 0;
+    this.progressDone = new Set();
+    
+    document.getElementById('progressList').replaceChildren();
+    this.setButtonEnabled('cancelRunButton', true);
+    document.getElementById('progressSection').classList.remove('hidden');
+    this.updateProgressBar();
+  }
+
+  /**
+   * Apply a progress event from the organize port
+   * @param {Object} event - Progress event ({type, tabId, title, category, ...})
+   */
+  handleProgressEvent(event) {
+    switch (event.type) {
+      case 'started':
+        this.progressTotal = event.total;
+        break;
+      case 'tabStarted':
+        this.setProgressItem(event.tabId, event.title, 'Analyzing…', 'pending');
+        break;
+      case 'categoryAssigned':
+        this.progressDone.add(event.tabId);
+        this.setProgressItem(event.tabId, event.title, this.formatProgressResult(event), '');
+        break;
+      case 'fallbackUsed':
+        this.progressDone.add(event.tabId);
+        this.setProgressItem(event.tabId, event.title, `${event.category} (fallback)`, 'fallback');
+        break;
+      case 'regrouped':
+        this.setProgressItem(event.tabId, event.title, `${event.category} (was ${event.from})`, '');
+        break;
+      case 'error':
+        this.progressDone.add(event.tabId);
+        this.setProgressItem(event.tabId, event.title, event.message || 'Error', 'error');
+        break;
+      case 'grouping':
+        this.showStatus('Creating tab groups...', 'loading');
+        break;
+      default:
+        break;
+    }
+    
+    this.updateProgressBar();
+  }
+
+  /**
+   * Describe a categoryAssigned event for the results list
+   * @param {Object} event - Progress event
+   * @returns {string} - Result text
+   */
+  formatProgressResult(event) {
+    if (!event.category) return 'Ungrouped';
+    if (event.rule) return `${event.category} (rule)`;
+    if (event.cached) return `${event.category} (cached)`;
+    if (typeof event.confidence === 'number') {
+      return `${event.category} (${Math.round(event.confidence * 100)}%)`;
+    }
+    return event.category;
+  }
+
+  /**
+   * Add or update the results list row for a tab
+   * @param {number} tabId - Tab ID
+   * @param {string} title - Tab title
+   * @param {string} result - Result text
+   * @param {string} state - Row state class (pending, fallback, error or empty)
+   */
+  setProgressItem(tabId, title, result, state) {
+    const list = document.getElementById('progressList');
+    let item = list.querySelector(`[data-tab-id="${tabId}"]`);
+    
+    if (!item) {
+      item = document.createElement('li');
+      item.dataset.tabId = tabId;
+      
+      const titleElement = document.createElement('span');
+      titleElement.className = 'progress-title';
+      const resultElement = document.createElement('span');
+      resultElement.className = 'progress-result';
+      
+      item.append(titleElement, resultElement);
+      list.appendChild(item);
+    }
+    
+    item.className = state;
+    item.querySelector('.progress-title').textContent = title || `Tab ${tabId}`;
+    item.querySelector('.progress-title').title = title || '';
+    item.querySelector('.progress-result').textContent = result;
+    item.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Update the progress bar and counter from the events received so far
+   */
+  updateProgressBar() {
+    const done = this.progressDone.size;
+    const total = Math.max(this.progressTotal, done);
+    
+    const progressBar = document.getElementById('progressBar');
+    progressBar.max = total || 1;
+    progressBar.value = done;
+    
+    document.getElementById('progressLabel').textContent = `${done} / ${total} tabs`;
+  }
+
+  /**
+   * Finish the progress display for a run
+   * The results list stays visible so the user can review it
+   */
+  finishProgress() {
+    this.setButtonEnabled('cancelRunButton', false);
+  }
+
   /**
    * Set enabled state for multiple buttons
    * @param {Object} buttonStates - Object with button IDs as keys and boolean states as values
@@ -0,0 +1,70 @@
+/**
+ * URL Normalizer for Tab Genius extension
+ * Reduces URLs to a canonical form so trivially different URLs of the same page
+ * compare equal, for the classification cache and for finding duplicate tabs
+ */
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid', '_ga', '_gl'
+];
+
+// Rules that can be turned on besides the ones always applied
+export const DEFAULT_URL_NORMALIZATION = {
+  // Drop the whole query string, not just tracking parameters
+  ignoreQuery: false,
+  // Treat http and https, and hosts with and without www., as the same
+  ignoreScheme: false
+};
+
+export class UrlNormalizer {
+  /**
+   * Normalize a URL
+   * Always drops the fragment, utm_* and other tracking parameters and trailing
+   * slashes, and sorts the remaining query parameters
+   * @param {string} url - URL
+   * @param {Object} [options] - Extra rules, see DEFAULT_URL_NORMALIZATION
+   * @returns {string} - Normalized URL; URLs that cannot be parsed are returned unchanged
+   */
+  static normalize(url, options = {}) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      
+      if (options.ignoreQuery) {
+        parsed.search = '';
+      } else {
+        for (const param of [...parsed.searchParams.keys()]) {
+          if (param.startsWith('utm_') || TRACKING_PARAMS.includes(param)) {
+            parsed.searchParams.delete(param);
+          }
+        }
+        parsed.searchParams.sort();
+      }
+      
+      if (parsed.pathname.length > 1) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+      }
+      
+      if (options.ignoreScheme && (parsed.protocol === 'http:' || parsed.protocol === 'https:')) {
+        return `${parsed.hostname.replace(/^www\./, '')}${parsed.port ? `:${parsed.port}` : ''}${parsed.pathname}${parsed.search}`;
+      }
+      
+      return parsed.toString();
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Load the optional normalization rules for duplicate detection from storage
+   * @returns {Promise<Object>} - Rules, see DEFAULT_URL_NORMALIZATION
+   */
+  static async loadOptions() {
+    const settings = await chrome.storage.sync.get(['duplicateIgnoreQuery', 'duplicateIgnoreScheme']);
+    return {
+      ignoreQuery: settings.duplicateIgnoreQuery === true,
+      ignoreScheme: settings.duplicateIgnoreScheme === true
+    };
+  }
+}
@@ -1,8 +1,20 @@
-import { TabSorter } from './modules/tabSorter.js';
-import { TabOrganizer } from './modules/tabOrganizer.js';
 import { UIManager } from './modules/uiManager.js';
-import { TabStateManager } from './modules/tabStateManager.js';
 import { CategoryManager } from './modules/categoryManager.js';
+import { RuleManager } from './modules/ruleManager.js';
+import { PlanEditor } from './modules/planEditor.js';
+import { DuplicateManager } from './modules/duplicateManager.js';
+import { DuplicateFinder } from './modules/duplicateFinder.js';
+import { TabStateManager } from './modules/tabStateManager.js';
+import { StaleTabFinder, DEFAULT_STALE_TAB_DAYS } from './modules/staleTabFinder.js';
+import { StaleTabManager } from './modules/staleTabManager.js';
+import { ArchiveManager } from './modules/archiveManager.js';
+import { SortPresetManager } from './modules/sortPresetManager.js';
+import { ClassificationCache } from './modules/classificationCache.js';
+import { OllamaManager } from './modules/ollamaManager.js';
+import { DEFAULT_GROUPING_POLICY } from './modules/groupingPolicy.js';
+import { DEFAULT_GROUP_LAYOUT } from './modules/groupLayout.js';
+import { DEFAULT_GROUP_SORT } from './modules/tabSorter.js';
+import { DEFAULT_TITLE_SORT_MODE } from './modules/titleNormalizer.js';
 import debugLogger from './modules/debugLogger.js';
 import analytics from './modules/analytics.js';
 
@@ -18,11 +30,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
   
-  const tabStateManager = new TabStateManager();
-  const tabSorter = new TabSorter(tabStateManager);
-  const tabOrganizer = new TabOrganizer(tabStateManager);
   const uiManager = new UIManager();
   const categoryManager = new CategoryManager();
+  const ruleManager = new RuleManager();
+  const planEditor = new PlanEditor();
+  const duplicateManager = new DuplicateManager();
+  const staleTabManager = new StaleTabManager();
+  const archiveManager = new ArchiveManager();
+  const sortPresetManager = new SortPresetManager();
+  const ollamaManager = new OllamaManager();
   
   // Initialize UI components
   uiManager.init();
@@ -34,7 +50,26 @@ document.addEventListener('DOMContentLoaded', async () => {
       'notificationsEnabled', 
       'analysisTimeout',
       'tabSorterCategories',
-      'analysisPrompt'
+      'analysisPrompt',
+      'batchAnalysisEnabled',
+      'regroupGroupedTabs',
+      'autoOrganizeEnabled',
+      'autoOrganizeExcludedDomains',
+      'confidenceThreshold',
+      'lowConfidenceAction',
+      'minGroupSize',
+      'maxGroups',
+      'smallGroupAction',
+      'otherGroupName',
+      'groupOrder',
+      'ungroupedPosition',
+      'collapseGroups',
+      'sortGroupOrder',
+      'sortUngroupedPosition',
+      'titleSortMode',
+      'duplicateIgnoreQuery',
+      'duplicateIgnoreScheme',
+      'staleTabDays'
     ]);
     
     // Set default values if not found
@@ -48,13 +83,45 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('analysisTimeout').value = settings.analysisTimeout || 15;
     document.getElementById('enableDebugMode').checked = settings.tabGeniusDebugMode === true;
     document.getElementById('analysisPrompt').value = settings.analysisPrompt;
+    document.getElementById('enableBatchAnalysis').checked = settings.batchAnalysisEnabled === true;
+    document.getElementById('regroupGroupedTabs').checked = settings.regroupGroupedTabs === true;
+    document.getElementById('autoOrganizeEnabled').checked = settings.autoOrganizeEnabled === true;
+    document.getElementById('autoOrganizeExcludedDomains').value = (settings.autoOrganizeExcludedDomains || []).join(', ');
+    document.getElementById('confidenceThreshold').value = settings.confidenceThreshold === undefined ? 50 : settings.confidenceThreshold;
+    document.getElementById('lowConfidenceAction').value = settings.lowConfidenceAction || 'fallback';
+    document.getElementById('minGroupSize').value = settings.minGroupSize || DEFAULT_GROUPING_POLICY.minGroupSize;
+    document.getElementById('maxGroups').value = settings.maxGroups === undefined ? DEFAULT_GROUPING_POLICY.maxGroups : settings.maxGroups;
+    document.getElementById('smallGroupAction').value = settings.smallGroupAction || DEFAULT_GROUPING_POLICY.smallGroupAction;
+    document.getElementById('otherGroupName').value = settings.otherGroupName || DEFAULT_GROUPING_POLICY.otherGroupName;
+    document.getElementById('groupOrder').value = settings.groupOrder || DEFAULT_GROUP_LAYOUT.groupOrder;
+    document.getElementById('ungroupedPosition').value = settings.ungroupedPosition || DEFAULT_GROUP_LAYOUT.ungroupedPosition;
+    document.getElementById('collapseGroups').checked = settings.collapseGroups === true;
+    document.getElementById('sortGroupOrder').value = settings.sortGroupOrder || DEFAULT_GROUP_SORT.groupOrder;
+    document.getElementById('sortUngroupedPosition').value = settings.sortUngroupedPosition || DEFAULT_GROUP_SORT.ungroupedPosition;
+    document.getElementById('titleSortMode').value = settings.titleSortMode || DEFAULT_TITLE_SORT_MODE;
+    document.getElementById('duplicateIgnoreQuery').checked = settings.duplicateIgnoreQuery === true;
+    document.getElementById('duplicateIgnoreScheme').checked = settings.duplicateIgnoreScheme === true;
+    document.getElementById('staleTabDays').value = settings.staleTabDays || DEFAULT_STALE_TAB_DAYS;
     
     debugLogger.log('Extension settings loaded:', {
       debugMode: settings.tabGeniusDebugMode === true,
       notificationsEnabled: settings.notificationsEnabled !== false,
       analysisTimeout: settings.analysisTimeout || 15,
       categoriesCount: settings.tabSorterCategories ? settings.tabSorterCategories.length : 'default',
-      analysisPrompt: settings.analysisPrompt
+      analysisPrompt: settings.analysisPrompt,
+      batchAnalysisEnabled: settings.batchAnalysisEnabled === true,
+      regroupGroupedTabs: settings.regroupGroupedTabs === true,
+      autoOrganizeEnabled: settings.autoOrganizeEnabled === true,
+      confidenceThreshold: settings.confidenceThreshold === undefined ? 50 : settings.confidenceThreshold,
+      lowConfidenceAction: settings.lowConfidenceAction || 'fallback',
+      minGroupSize: settings.minGroupSize || DEFAULT_GROUPING_POLICY.minGroupSize,
+      maxGroups: settings.maxGroups === undefined ? DEFAULT_GROUPING_POLICY.maxGroups : settings.maxGroups,
+      groupOrder: settings.groupOrder || DEFAULT_GROUP_LAYOUT.groupOrder,
+      ungroupedPosition: settings.ungroupedPosition || DEFAULT_GROUP_LAYOUT.ungroupedPosition,
+      collapseGroups: settings.collapseGroups === true,
+      sortGroupOrder: settings.sortGroupOrder || DEFAULT_GROUP_SORT.groupOrder,
+      sortUngroupedPosition: settings.sortUngroupedPosition || DEFAULT_GROUP_SORT.ungroupedPosition,
+      titleSortMode: settings.titleSortMode || DEFAULT_TITLE_SORT_MODE
     });
   } catch (error) {
     debugLogger.error('Error loading settings:', error);
@@ -80,11 +147,160 @@ document.addEventListener('DOMContentLoaded', async () => {
     debugLogger.log('Debug mode updated:', e.target.checked);
   });
   
+  document.getElementById('enableBatchAnalysis').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ batchAnalysisEnabled: e.target.checked });
+    debugLogger.log('Batch analysis setting updated:', e.target.checked);
+    analytics.trackSettingChange('batch_analysis', e.target.checked);
+  });
+  
+  document.getElementById('regroupGroupedTabs').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ regroupGroupedTabs: e.target.checked });
+    debugLogger.log('Regroup grouped tabs setting updated:', e.target.checked);
+    analytics.trackSettingChange('regroup_grouped_tabs', e.target.checked);
+  });
+  
+  document.getElementById('autoOrganizeEnabled').addEventListener('change', async (e) => {
+    if (e.target.checked) {
+      // Auto mode runs without the popup, so it keeps the model selected now
+      try {
+        await chrome.storage.local.set({ autoOrganizeModelConfig: getModelConfig() });
+      } catch (error) {
+        e.target.checked = false;
+        uiManager.showStatus(`Error: ${error.message}`, 'error');
+        return;
+      }
+    }
+    
+    chrome.storage.sync.set({ autoOrganizeEnabled: e.target.checked });
+    debugLogger.log('Auto organize setting updated:', e.target.checked);
+    analytics.trackSettingChange('auto_organize', e.target.checked);
+  });
+  
+  document.getElementById('autoOrganizeExcludedDomains').addEventListener('change', (e) => {
+    const domains = e.target.value.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+    e.target.value = domains.join(', ');
+    chrome.storage.sync.set({ autoOrganizeExcludedDomains: domains });
+    debugLogger.log('Auto organize excluded domains updated:', domains);
+  });
+  
+  document.getElementById('confidenceThreshold').addEventListener('change', (e) => {
+    // Ensure value is between 0 and 100 percent
+    const threshold = Math.min(Math.max(parseInt(e.target.value) || 0, 0), 100);
+    e.target.value = threshold;
+    chrome.storage.sync.set({ confidenceThreshold: threshold });
+    debugLogger.log('Confidence threshold updated:', threshold);
+    analytics.trackSettingChange('confidence_threshold', threshold);
+  });
+  
+  document.getElementById('lowConfidenceAction').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ lowConfidenceAction: e.target.value });
+    debugLogger.log('Low confidence action updated:', e.target.value);
+    analytics.trackSettingChange('low_confidence_action', e.target.value);
+  });
+  
+  document.getElementById('minGroupSize').addEventListener('change', (e) => {
+    const minGroupSize = Math.min(Math.max(parseInt(e.target.value) || 1, 1), 20);
+    e.target.value = minGroupSize;
+    chrome.storage.sync.set({ minGroupSize });
+    debugLogger.log('Minimum group size updated:', minGroupSize);
+    analytics.trackSettingChange('min_group_size', minGroupSize);
+  });
+  
+  document.getElementById('maxGroups').addEventListener('change', (e) => {
+    // 0 means no limit
+    const maxGroups = Math.min(Math.max(parseInt(e.target.value) || 0, 0), 50);
+    e.target.value = maxGroups;
+    chrome.storage.sync.set({ maxGroups });
+    debugLogger.log('Maximum groups updated:', maxGroups);
+    analytics.trackSettingChange('max_groups', maxGroups);
+  });
+  
+  document.getElementById('smallGroupAction').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ smallGroupAction: e.target.value });
+    debugLogger.log('Small group action updated:', e.target.value);
+    analytics.trackSettingChange('small_group_action', e.target.value);
+  });
+  
+  document.getElementById('otherGroupName').addEventListener('change', (e) => {
+    const otherGroupName = e.target.value.trim() || DEFAULT_GROUPING_POLICY.otherGroupName;
+    e.target.value = otherGroupName;
+    chrome.storage.sync.set({ otherGroupName });
+    debugLogger.log('Other group name updated:', otherGroupName);
+  });
+  
+  document.getElementById('groupOrder').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ groupOrder: e.target.value });
+    debugLogger.log('Group order updated:', e.target.value);
+    analytics.trackSettingChange('group_order', e.target.value);
+  });
+  
+  document.getElementById('ungroupedPosition').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ ungroupedPosition: e.target.value });
+    debugLogger.log('Ungrouped tab position updated:', e.target.value);
+    analytics.trackSettingChange('ungrouped_position', e.target.value);
+  });
+  
+  document.getElementById('collapseGroups').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ collapseGroups: e.target.checked });
+    debugLogger.log('Collapse groups setting updated:', e.target.checked);
+    analytics.trackSettingChange('collapse_groups', e.target.checked);
+  });
+  
+  document.getElementById('sortGroupOrder').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ sortGroupOrder: e.target.value });
+    debugLogger.log('Group order for sorting updated:', e.target.value);
+    analytics.trackSettingChange('sort_group_order', e.target.value);
+  });
+  
+  document.getElementById('sortUngroupedPosition').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ sortUngroupedPosition: e.target.value });
+    debugLogger.log('Ungrouped tab position for sorting updated:', e.target.value);
+    analytics.trackSettingChange('sort_ungrouped_position', e.target.value);
+  });
+  
+  document.getElementById('titleSortMode').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ titleSortMode: e.target.value });
+    debugLogger.log('Title sort mode updated:', e.target.value);
+    analytics.trackSettingChange('title_sort_mode', e.target.value);
+  });
+  
+  document.getElementById('duplicateIgnoreQuery').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ duplicateIgnoreQuery: e.target.checked });
+    debugLogger.log('Duplicate query setting updated:', e.target.checked);
+    analytics.trackSettingChange('duplicate_ignore_query', e.target.checked);
+  });
+  
+  document.getElementById('duplicateIgnoreScheme').addEventListener('change', (e) => {
+    chrome.storage.sync.set({ duplicateIgnoreScheme: e.target.checked });
+    debugLogger.log('Duplicate scheme setting updated:', e.target.checked);
+    analytics.trackSettingChange('duplicate_ignore_scheme', e.target.checked);
+  });
+  
+  document.getElementById('staleTabDays').addEventListener('change', (e) => {
+    const staleTabDays = Math.min(Math.max(parseInt(e.target.value) || DEFAULT_STALE_TAB_DAYS, 1), 365);
+    e.target.value = staleTabDays;
+    chrome.storage.sync.set({ staleTabDays });
+    debugLogger.log('Stale tab threshold updated:', staleTabDays);
+    analytics.trackSettingChange('stale_tab_days', staleTabDays);
+  });
+  
   document.getElementById('analysisPrompt').addEventListener('change', (e) => {
     chrome.storage.sync.set({ analysisPrompt: e.target.value });
     debugLogger.log('Analysis prompt updated:', e.target.value);
   });
   
+  document.getElementById('clearCacheBtn').addEventListener('click', async () => {
+    try {
+      await new ClassificationCache().clear();
+      uiManager.showStatus('Classification cache cleared', 'success');
+      analytics.trackEvent('classification_cache_cleared');
+    } catch (error) {
+      uiManager.showStatus(`Error: ${error.message}`, 'error');
+      debugLogger.error('Error clearing classification cache:', error);
+      analytics.trackError('clear_cache', error.message);
+    }
+  });
+  
   // Make categories section collapsible
   const categoriesHeader = document.getElementById('categoriesHeader');
   const categoriesContent = document.getElementById('categoriesContent');
@@ -94,6 +310,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     categoriesContent.classList.toggle('collapsed');
   });
   
+  // Make sort presets section collapsible
+  const sortPresetsHeader = document.getElementById('sortPresetsHeader');
+  const sortPresetsContent = document.getElementById('sortPresetsContent');
+  
+  sortPresetsHeader.addEventListener('click', () => {
+    sortPresetsHeader.classList.toggle('active');
+    sortPresetsContent.classList.toggle('collapsed');
+  });
+  
+  // Make archive section collapsible
+  const archiveHeader = document.getElementById('archiveHeader');
+  const archiveContent = document.getElementById('archiveContent');
+  
+  archiveHeader.addEventListener('click', () => {
+    archiveHeader.classList.toggle('active');
+    archiveContent.classList.toggle('collapsed');
+  });
+  
   // Make preferences section collapsible
   const preferencesHeader = document.getElementById('preferencesHeader');
   const preferencesContent = document.getElementById('preferencesContent');
@@ -115,295 +349,376 @@ document.addEventListener('DOMContentLoaded', async () => {
     debugLogger.error('Error initializing category manager:', error);
     console.error('Error initializing category manager:', error);
   }
+  
+  // Initialize categorization rules
+  await ruleManager.init();
+  
+  // Initialize the editor for previewed organize runs
+  // Plan edits are kept on the job, so closing the popup does not lose them
+  planEditor.init((jobId, plan) => {
+    jobPort.postMessage({ type: 'updatePlan', jobId, plan });
+  });
+  duplicateManager.init();
+  staleTabManager.init();
+  await archiveManager.init();
+  await sortPresetManager.init();
 
-  // Sort by title button
-  document.getElementById('sortByTitle').addEventListener('click', async () => {
-    try {
-      // Disable action buttons during operation
-      uiManager.setButtonsState({
-        'sortByTitle': false,
-        'sortByUrl': false,
-        'organizeByContent': false,
-        'ungroupAllTabs': false
-      });
-      
-      uiManager.showStatus('Sorting tabs by title...', 'loading');
-      debugLogger.log('Starting sort by title');
-      
-      const startTime = performance.now();
-      await debugLogger.time('Sort by title', async () => {
-        await tabSorter.sortByTitle();
-      });
-      const duration = performance.now() - startTime;
-      
-      // Track the sort action
-      const tabs = await chrome.tabs.query({ currentWindow: true });
-      analytics.trackSort('title', tabs.length, duration);
-      
-      uiManager.showStatus('Tabs sorted by title!', 'success');
-      debugLogger.log('Tabs sorted by title successfully');
-      
-      // Enable undo button and re-enable action buttons
-      uiManager.setButtonsState({
-        'undoButton': true,
-        'sortByTitle': true,
-        'sortByUrl': true,
-        'organizeByContent': true,
-        'ungroupAllTabs': true
-      });
-    } catch (error) {
-      uiManager.showStatus(`Error: ${error.message}`, 'error');
-      debugLogger.error('Error sorting by title:', error);
-      analytics.trackError('sort_by_title', error.message);
-      
-      // Re-enable action buttons
-      uiManager.setButtonsState({
-        'sortByTitle': true,
-        'sortByUrl': true,
-        'organizeByContent': true,
-        'ungroupAllTabs': true
-      });
+  // Initialize Ollama server discovery
+  await ollamaManager.init();
+  
+  // Status classes for finished jobs
+  const JOB_STATUS_TYPES = {
+    completed: 'success',
+    failed: 'error',
+    cancelled: '',
+    rolledBack: ''
+  };
+  
+  const currentWindow = await chrome.windows.getCurrent();
+  // ID of the running job whose progress is shown
+  let currentJobId = null;
+  
+  /**
+   * Show a job's state in the popup
+   * @param {Object|null} job - Latest job for this window
+   * @param {boolean} canUndo - Whether the window has a saved state to undo
+   * @param {boolean} initial - True for the state sent when the popup connects
+   */
+  function renderJob(job, canUndo, initial) {
+    const isRunning = job !== null && job.status === 'running';
+    uiManager.setButtonEnabled('undoButton', canUndo && !isRunning);
+    
+    // A finished preview keeps its plan until it is applied or discarded
+    if (job && job.type === 'planByContent' && job.plan) {
+      planEditor.show(job.id, job.plan);
+    } else {
+      planEditor.hide();
+    }
+    
+    if (!job) return;
+    
+    if (isRunning) {
+      uiManager.setActionButtonsEnabled(false);
+      uiManager.showStatus(job.message, 'loading');
+      
+      // Reopening the popup mid-run replays the progress received so far
+      if (currentJobId !== job.id) {
+        currentJobId = job.id;
+        if (['organizeByContent', 'planByContent', 'organizeBySimilarity'].includes(job.type)) {
+          uiManager.startProgress();
+          job.events.forEach(event => uiManager.handleProgressEvent(event));
+        }
+      }
+      return;
+    }
+    
+    uiManager.setActionButtonsEnabled(true);
+    
+    if (currentJobId === job.id) {
+      currentJobId = null;
+      uiManager.finishProgress();
+    }
+    
+    // Results of jobs that finished while the popup was closed were already notified
+    if (!initial) {
+      uiManager.showStatus(job.message, JOB_STATUS_TYPES[job.status]);
+      debugLogger.log(`Job ${job.type} ${job.status}`, job.error || '');
+    }
+  }
+  
+  // Jobs run in the background service worker so they survive closing the popup;
+  // the popup submits them and watches this window's jobs over a port
+  const jobPort = chrome.runtime.connect({ name: `jobs:${currentWindow.id}` });
+  jobPort.onMessage.addListener((message) => {
+    if (message.type === 'job') {
+      renderJob(message.job, message.canUndo, message.initial === true);
+    } else if (message.type === 'progress' && message.jobId === currentJobId) {
+      uiManager.handleProgressEvent(message.event);
     }
   });
-
-  // Sort by URL button
-  document.getElementById('sortByUrl').addEventListener('click', async () => {
+  
+  // Scope and layout choices are remembered between popups
+  const scopeSelect = document.getElementById('scopeSelect');
+  const layoutSelect = document.getElementById('layoutSelect');
+  try {
+    const layoutSettings = await chrome.storage.sync.get(['tabScope', 'windowLayout']);
+    scopeSelect.value = layoutSettings.tabScope || 'currentWindow';
+    layoutSelect.value = layoutSettings.windowLayout || 'groups';
+  } catch (error) {
+    debugLogger.error('Error loading scope settings:', error);
+  }
+  
+  scopeSelect.addEventListener('change', (e) => {
+    chrome.storage.sync.set({ tabScope: e.target.value });
+    analytics.trackSettingChange('tab_scope', e.target.value);
+  });
+  
+  layoutSelect.addEventListener('change', (e) => {
+    chrome.storage.sync.set({ windowLayout: e.target.value });
+    analytics.trackSettingChange('window_layout', e.target.value);
+  });
+  
+  /**
+   * Submit a job for this window to the background
+   * @param {string} jobType - Job type (organizeByContent, sortByTitle, undo, ...)
+   * @param {Function} [getOptions] - Builds the job options besides the scope; may throw on invalid input
+   * @returns {Promise<boolean>} - Whether the job was started
+   */
+  async function submitJob(jobType, getOptions = () => ({})) {
     try {
-      // Disable action buttons during operation
-      uiManager.setButtonsState({
-        'sortByTitle': false,
-        'sortByUrl': false,
-        'organizeByContent': false,
-        'ungroupAllTabs': false
+      // Disable action buttons until the job reports back
+      uiManager.setActionButtonsEnabled(false);
+      uiManager.setButtonEnabled('undoButton', false);
+      
+      const response = await chrome.runtime.sendMessage({
+        action: 'submitJob',
+        windowId: currentWindow.id,
+        jobType: jobType,
+        options: { scope: scopeSelect.value, ...getOptions() }
       });
       
-      uiManager.showStatus('Sorting tabs by URL...', 'loading');
-      debugLogger.log('Starting sort by URL');
-      
-      const startTime = performance.now();
-      await debugLogger.time('Sort by URL', async () => {
-        await tabSorter.sortByUrl();
-      });
-      const duration = performance.now() - startTime;
-      
-      // Track the sort action
-      const tabs = await chrome.tabs.query({ currentWindow: true });
-      analytics.trackSort('url', tabs.length, duration);
-      
-      uiManager.showStatus('Tabs sorted by URL!', 'success');
-      debugLogger.log('Tabs sorted by URL successfully');
+      if (!response || response.error) {
+        throw new Error(response ? response.error : 'No response from background');
+      }
       
-      // Enable undo button and re-enable action buttons
-      uiManager.setButtonsState({
-        'undoButton': true,
-        'sortByTitle': true,
-        'sortByUrl': true,
-        'organizeByContent': true,
-        'ungroupAllTabs': true
-      });
+      debugLogger.log(`Submitted ${jobType} job`, response.jobId);
+      return true;
     } catch (error) {
       uiManager.showStatus(`Error: ${error.message}`, 'error');
-      debugLogger.error('Error sorting by URL:', error);
-      analytics.trackError('sort_by_url', error.message);
+      debugLogger.error(`Error starting ${jobType}:`, error);
       
       // Re-enable action buttons
-      uiManager.setButtonsState({
-        'sortByTitle': true,
-        'sortByUrl': true,
-        'organizeByContent': true,
-        'ungroupAllTabs': true
-      });
+      uiManager.setActionButtonsEnabled(true);
+      return false;
     }
+  }
+  
+  // Sort by title button
+  document.getElementById('sortByTitle').addEventListener('click', () => {
+    submitJob('sortByTitle');
   });
 
-  // Model selection change
-  document.getElementById('model-select').addEventListener('change', (e) => {
-    const modelType = e.target.value;
-    uiManager.toggleOllamaOptions(modelType === 'ollama');
+  // Sort by domain button
+  document.getElementById('sortByDomain').addEventListener('click', () => {
+    submitJob('sortByDomain');
   });
 
-  // Organize by content button
-  document.getElementById('organizeByContent').addEventListener('click', async () => {
+  // Sort by last use, opening order and sound buttons
+  ['sortByLastAccessed', 'sortByCreation', 'sortByAudible'].forEach(jobType => {
+    document.getElementById(jobType).addEventListener('click', () => {
+      submitJob(jobType);
+    });
+  });
+
+  // Sort with the preset picked next to the button
+  document.getElementById('sortByPreset').addEventListener('click', () => {
+    submitJob('sortByKeys', () => ({ sortKeys: sortPresetManager.getSelectedKeys() }));
+  });
+
+  // Find duplicates button: preview the copies that would be closed
+  document.getElementById('findDuplicates').addEventListener('click', async () => {
     try {
-      // Disable action buttons during operation
-      uiManager.setButtonsState({
-        'sortByTitle': false,
-        'sortByUrl': false,
-        'organizeByContent': false,
-        'ungroupAllTabs': false
-      });
+      const scope = scopeSelect.value;
+      const duplicateFinder = new DuplicateFinder(new TabStateManager(currentWindow.id, scope));
+      const duplicateSets = await duplicateFinder.findDuplicates();
       
-      const modelType = document.getElementById('model-select').value;
-      let modelConfig = { type: modelType };
-      
-      if (modelType === 'ollama') {
-        modelConfig.url = document.getElementById('ollama-url').value;
-        modelConfig.model = document.getElementById('ollama-model').value;
+      if (duplicateSets.length === 0) {
+        duplicateManager.hide();
+        uiManager.showStatus('No duplicate tabs found', 'success');
+        return;
       }
       
-      // Get analysis timeout setting
-      const settings = await chrome.storage.sync.get(['analysisTimeout', 'tabSorterCategories']);
-      const timeout = settings.analysisTimeout || 15;
-      const categories = settings.tabSorterCategories || categoryManager.defaultCategories;
-      
-      debugLogger.log('Starting tab organization with:', {
-        modelType: modelType,
-        analysisTimeout: timeout,
-        categoriesCount: categories.length,
-        categories: categories,
-        modelConfig: modelConfig
-      });
-      
-      uiManager.showStatus('Organizing tabs by content...', 'loading');
-      
-      const startTime = performance.now();
-      await debugLogger.time('Tab organization', async () => {
-        await tabOrganizer.organizeByContent(modelConfig);
-      });
-      const duration = performance.now() - startTime;
-      
-      // Get tab groups to count them
-      const tabGroups = await chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT });
-      const tabs = await chrome.tabs.query({ currentWindow: true });
-      
-      // Track the organization action
-      analytics.trackOrganize(modelType, tabs.length, duration, tabGroups.length);
-      
-      uiManager.showStatus('Tabs organized by content!', 'success');
-      debugLogger.log('Tab organization completed successfully');
-      
-      // Enable undo button and re-enable action buttons
-      uiManager.setButtonsState({
-        'undoButton': true,
-        'sortByTitle': true,
-        'sortByUrl': true,
-        'organizeByContent': true,
-        'ungroupAllTabs': true
-      });
+      const count = duplicateSets.reduce((total, set) => total + set.duplicates.length, 0);
+      duplicateManager.show(duplicateSets, scope);
+      uiManager.showStatus(`Found ${count} duplicate tabs. Review them below.`, '');
     } catch (error) {
       uiManager.showStatus(`Error: ${error.message}`, 'error');
-      debugLogger.error('Error organizing by content:', error);
-      analytics.trackError('organize_by_content', error.message);
-      
-      // Re-enable action buttons
-      uiManager.setButtonsState({
-        'sortByTitle': true,
-        'sortByUrl': true,
-        'organizeByContent': true,
-        'ungroupAllTabs': true
-      });
+      debugLogger.error('Error finding duplicate tabs:', error);
+      analytics.trackError('find_duplicates', error.message);
     }
   });
   
-  // Ungroup all tabs button
-  document.getElementById('ungroupAllTabs').addEventListener('click', async () => {
+  document.getElementById('closeDuplicatesButton').addEventListener('click', async () => {
+    const started = await submitJob('closeDuplicates', () => ({
+      scope: duplicateManager.scope,
+      tabIds: duplicateManager.getSelectedTabIds()
+    }));
+    if (started) {
+      duplicateManager.hide();
+    }
+  });
+  
+  document.getElementById('cancelDuplicatesButton').addEventListener('click', () => {
+    duplicateManager.hide();
+  });
+  
+  // Stale tabs button: list tabs idle longer than the threshold
+  document.getElementById('findStaleTabs').addEventListener('click', async () => {
     try {
-      // Disable action buttons during operation
-      uiManager.setButtonsState({
-        'sortByTitle': false,
-        'sortByUrl': false,
-        'organizeByContent': false,
-        'ungroupAllTabs': false
-      });
-      
-      // Save current state before ungrouping
-      await tabStateManager.saveCurrentState();
-      
-      uiManager.showStatus('Removing all tab groups...', 'loading');
-      
-      const startTime = performance.now();
-      await tabStateManager.ungroupAllTabs();
-      const duration = performance.now() - startTime;
-      
-      // Track the ungroup action
-      const tabs = await chrome.tabs.query({ currentWindow: true });
-      analytics.trackEvent('tabs_ungrouped', {
-        tab_count: tabs.length,
-        duration_ms: duration
-      });
-      
-      uiManager.showStatus('All tab groups removed!', 'success');
+      const scope = scopeSelect.value;
+      const days = await StaleTabFinder.loadThreshold();
+      const staleTabFinder = new StaleTabFinder(new TabStateManager(currentWindow.id, scope));
+      const staleTabs = await staleTabFinder.findStaleTabs(days);
+      
+      if (staleTabs.length === 0) {
+        staleTabManager.hide();
+        uiManager.showStatus(`No tabs unused for more than ${days} days`, 'success');
+        return;
+      }
       
-      // Enable undo button and re-enable action buttons
-      uiManager.setButtonsState({
-        'undoButton': true,
-        'sortByTitle': true,
-        'sortByUrl': true,
-        'organizeByContent': true,
-        'ungroupAllTabs': true
-      });
+      staleTabManager.show(staleTabs, scope);
+      uiManager.showStatus(`Found ${staleTabs.length} tabs unused for more than ${days} days`, '');
     } catch (error) {
       uiManager.showStatus(`Error: ${error.message}`, 'error');
-      console.error('Error ungrouping tabs:', error);
-      analytics.trackError('ungroup_tabs', error.message);
-      
-      // Re-enable action buttons
-      uiManager.setButtonsState({
-        'sortByTitle': true,
-        'sortByUrl': true,
-        'organizeByContent': true,
-        'ungroupAllTabs': true
-      });
+      debugLogger.error('Error finding stale tabs:', error);
+      analytics.trackError('find_stale_tabs', error.message);
     }
   });
   
-  // Undo button
-  document.getElementById('undoButton').addEventListener('click', async () => {
-    try {
-      if (!tabStateManager.canUndo()) {
-        uiManager.showStatus('Nothing to undo', 'error');
-        return;
+  // Group, unload or archive the ticked stale tabs
+  [
+    ['groupStaleTabsButton', 'groupStaleTabs'],
+    ['discardStaleTabsButton', 'discardStaleTabs'],
+    ['archiveStaleTabsButton', 'archiveStaleTabs']
+  ].forEach(([buttonId, jobType]) => {
+    document.getElementById(buttonId).addEventListener('click', async () => {
+      const started = await submitJob(jobType, () => ({
+        scope: staleTabManager.scope,
+        tabIds: staleTabManager.getSelectedTabIds()
+      }));
+      if (started) {
+        staleTabManager.hide();
       }
+    });
+  });
+  
+  document.getElementById('cancelStaleTabsButton').addEventListener('click', () => {
+    staleTabManager.hide();
+  });
+
+  // Model selection change
+  document.getElementById('model-select').addEventListener('change', (e) => {
+    const modelType = e.target.value;
+    uiManager.toggleOllamaOptions(modelType === 'ollama');
+    uiManager.toggleOpenAIOptions(modelType === 'openai');
+  });
+  
+  // Restore OpenAI-compatible settings (kept in local storage so the API key is not synced)
+  try {
+    const openaiSettings = await chrome.storage.local.get(['openaiBaseUrl', 'openaiModel', 'openaiApiKey']);
+    if (openaiSettings.openaiBaseUrl) {
+      document.getElementById('openai-url').value = openaiSettings.openaiBaseUrl;
+    }
+    if (openaiSettings.openaiModel) {
+      document.getElementById('openai-model').value = openaiSettings.openaiModel;
+    }
+    if (openaiSettings.openaiApiKey) {
+      document.getElementById('openai-api-key').value = openaiSettings.openaiApiKey;
+    }
+  } catch (error) {
+    debugLogger.error('Error loading OpenAI-compatible settings:', error);
+  }
+  
+  document.getElementById('openai-url').addEventListener('change', (e) => {
+    chrome.storage.local.set({ openaiBaseUrl: e.target.value.trim() });
+  });
+  
+  document.getElementById('openai-model').addEventListener('change', (e) => {
+    chrome.storage.local.set({ openaiModel: e.target.value.trim() });
+  });
+  
+  document.getElementById('openai-api-key').addEventListener('change', (e) => {
+    chrome.storage.local.set({ openaiApiKey: e.target.value.trim() });
+  });
+
+  /**
+   * Read the AI model configuration from the model selection inputs
+   * @returns {Object} - Configuration for the AI model
+   */
+  function getModelConfig() {
+    const modelType = document.getElementById('model-select').value;
+    const modelConfig = { type: modelType };
+    
+    if (modelType === 'ollama') {
+      modelConfig.url = ollamaManager.getUrl();
+      modelConfig.model = document.getElementById('ollama-model').value;
+      modelConfig.embeddingModel = document.getElementById('ollama-embedding-model').value;
       
-      // Disable all buttons during undo operation
-      uiManager.setButtonsState({
-        'sortByTitle': false,
-        'sortByUrl': false,
-        'organizeByContent': false,
-        'ungroupAllTabs': false,
-        'undoButton': false
-      });
-      
-      uiManager.showStatus('Restoring previous tab state...', 'loading');
-      
-      const startTime = performance.now();
-      const success = await tabStateManager.restorePreviousState();
-      const duration = performance.now() - startTime;
-      
-      // Track the undo action
-      analytics.trackEvent('undo_action', {
-        success: success,
-        duration_ms: duration
-      });
-      
-      if (success) {
-        uiManager.showStatus('Previous tab state restored!', 'success');
-        // Disable undo button since we've used the saved state
-        uiManager.setButtonEnabled('undoButton', false);
-      } else {
-        uiManager.showStatus('Failed to restore previous state', 'error');
+      if (!modelConfig.model) {
+        throw new Error('Select an Ollama model first');
       }
+    } else if (modelType === 'openai') {
+      modelConfig.url = document.getElementById('openai-url').value.trim();
+      modelConfig.model = document.getElementById('openai-model').value.trim();
+      modelConfig.apiKey = document.getElementById('openai-api-key').value.trim();
       
-      // Re-enable action buttons
-      uiManager.setButtonsState({
-        'sortByTitle': true,
-        'sortByUrl': true,
-        'organizeByContent': true,
-        'ungroupAllTabs': true
-      });
-    } catch (error) {
-      uiManager.showStatus(`Error: ${error.message}`, 'error');
-      console.error('Error undoing action:', error);
-      analytics.trackError('undo_action', error.message);
-      
-      // Re-enable action buttons
-      uiManager.setButtonsState({
-        'sortByTitle': true,
-        'sortByUrl': true,
-        'organizeByContent': true,
-        'ungroupAllTabs': true
-      });
+      if (!modelConfig.url || !modelConfig.model) {
+        throw new Error('OpenAI-compatible base URL and model name are required');
+      }
     }
+    
+    return modelConfig;
+  }
+
+  // Organize by content button
+  document.getElementById('organizeByContent').addEventListener('click', () => {
+    submitJob('organizeByContent', () => {
+      const modelConfig = getModelConfig();
+      // Auto mode follows the model last used to organize
+      if (document.getElementById('autoOrganizeEnabled').checked) {
+        chrome.storage.local.set({ autoOrganizeModelConfig: modelConfig });
+      }
+      return { modelConfig, layout: layoutSelect.value };
+    });
+  });
+  
+  // Preview button: analyze now, move tabs once the plan is applied
+  document.getElementById('previewOrganize').addEventListener('click', () => {
+    submitJob('planByContent', () => ({ modelConfig: getModelConfig(), layout: layoutSelect.value }));
+  });
+  
+  // Apply the previewed plan as edited
+  document.getElementById('applyPlanButton').addEventListener('click', () => {
+    submitJob('applyPlan', () => {
+      const plan = planEditor.getPlan();
+      // The plan's own scope and layout, in case the selects changed since the preview
+      return { scope: plan.scope, layout: plan.layout, plan };
+    });
+  });
+  
+  document.getElementById('discardPlanButton').addEventListener('click', () => {
+    jobPort.postMessage({ type: 'discardPlan', jobId: planEditor.jobId });
+    planEditor.hide();
+  });
+  
+  // Organize by similarity button
+  document.getElementById('organizeBySimilarity').addEventListener('click', () => {
+    submitJob('organizeBySimilarity', () => {
+      const modelConfig = getModelConfig();
+      if (modelConfig.type !== 'ollama') {
+        throw new Error('Organize by similarity requires Ollama. Select Ollama as the AI model.');
+      }
+      return { modelConfig, layout: layoutSelect.value };
+    });
+  });
+  
+  // Cancel button for organize runs
+  document.getElementById('cancelRunButton').addEventListener('click', () => {
+    if (!currentJobId) return;
+    
+    uiManager.setButtonEnabled('cancelRunButton', false);
+    uiManager.showStatus('Cancelling...', 'loading');
+    jobPort.postMessage({ type: 'cancel', jobId: currentJobId });
+  });
+  
+  // Ungroup all tabs button
+  document.getElementById('ungroupAllTabs').addEventListener('click', () => {
+    submitJob('ungroupAllTabs');
+  });
+  
+  // Undo button
+  document.getElementById('undoButton').addEventListener('click', () => {
+    submitJob('undo');
   });
   
   // Initialize settings